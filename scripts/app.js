@@ -15,16 +15,22 @@ if ('serviceWorker' in navigator) {
 class SurveyDB {
   constructor() {
     this.db = null;
+    this.device = null;
   }
 
   async init() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open('SurveyDB', 1);
+      const request = indexedDB.open('SurveyDB', 8);
       
       request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
+      request.onsuccess = async () => {
         this.db = request.result;
-        resolve(this.db);
+        try {
+          await this.loadDevice();
+          resolve(this.db);
+        } catch (error) {
+          reject(error);
+        }
       };
       
       request.onupgradeneeded = (event) => {
@@ -42,20 +48,179 @@ class SurveyDB {
           responseStore.createIndex('surveyId', 'surveyId', { unique: false });
           responseStore.createIndex('timestamp', 'timestamp', { unique: false });
         }
+        
+        // Settings store
+        if (!db.objectStoreNames.contains('settings')) {
+          db.createObjectStore('settings', { keyPath: 'key' });
+        }
+        
+        // Drafts store: response cards that were started but not completed
+        if (!db.objectStoreNames.contains('drafts')) {
+          const draftStore = db.createObjectStore('drafts', { keyPath: 'id' });
+          draftStore.createIndex('surveyId', 'surveyId', { unique: false });
+        }
+        
+        // Question library: questions saved from surveys for reuse
+        if (!db.objectStoreNames.contains('library')) {
+          const libraryStore = db.createObjectStore('library', { keyPath: 'id', autoIncrement: true });
+          libraryStore.createIndex('name', 'name', { unique: false });
+        }
+        
+        // Media store: photo, audio and signature answers, linked to their response
+        if (!db.objectStoreNames.contains('media')) {
+          const mediaStore = db.createObjectStore('media', { keyPath: 'id', autoIncrement: true });
+          mediaStore.createIndex('responseUuid', 'responseUuid', { unique: false });
+          mediaStore.createIndex('surveyId', 'surveyId', { unique: false });
+        }
+        
+        // Version 2: questions get stable IDs and responses are keyed by them
+        if (event.oldVersion > 0 && event.oldVersion < 2) {
+          this.migrateQuestionIds(event.target.transaction);
+        }
+        
+        // Version 3: responses get a globally unique ID so devices can merge their data
+        if (event.oldVersion < 3) {
+          const responseStore = event.target.transaction.objectStore('responses');
+          responseStore.createIndex('uuid', 'uuid', { unique: true });
+          if (event.oldVersion > 0) {
+            this.migrateResponseUuids(event.target.transaction);
+          }
+        }
+        
+        // Version 4: responses waiting to be uploaded are looked up by their sync status
+        if (event.oldVersion < 4) {
+          event.target.transaction.objectStore('responses').createIndex('syncStatus', 'syncStatus', { unique: false });
+        }
+        
+        // Version 8: {{Q2}} references are saved as the question's variable name or ID.
+        // Surveys from before version 2 have no references, and migrateQuestionIds rewrites them.
+        if (event.oldVersion >= 2 && event.oldVersion < 8) {
+          this.migrateQuestionReferences(event.target.transaction);
+        }
       };
     });
   }
 
+  migrateQuestionIds(transaction) {
+    const surveyStore = transaction.objectStore('surveys');
+    const responseStore = transaction.objectStore('responses');
+    
+    surveyStore.getAll().onsuccess = (event) => {
+      const surveysById = {};
+      event.target.result.forEach(survey => {
+        assignQuestionIds(survey);
+        surveyStore.put(survey);
+        surveysById[survey.id] = survey;
+      });
+      
+      // Re-key `question_${index}` answers using the questions of the version they answered
+      responseStore.openCursor().onsuccess = (cursorEvent) => {
+        const cursor = cursorEvent.target.result;
+        if (!cursor) return;
+        
+        const response = cursor.value;
+        const survey = surveysById[response.surveyId];
+        if (survey) {
+          const data = {};
+          getVersionQuestions(survey, response.surveyVersion).forEach((question, index) => {
+            const legacyKey = `question_${index}`;
+            if (legacyKey in response.data) {
+              data[question.id] = response.data[legacyKey];
+            }
+          });
+          response.data = data;
+          cursor.update(response);
+        }
+        cursor.continue();
+      };
+    };
+  }
+
+  migrateResponseUuids(transaction) {
+    transaction.objectStore('responses').openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      
+      if (!cursor.value.uuid) {
+        cursor.update({ ...cursor.value, uuid: generateUUID() });
+      }
+      cursor.continue();
+    };
+  }
+
+  migrateQuestionReferences(transaction) {
+    transaction.objectStore('surveys').openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      
+      const survey = { ...cursor.value, questions: toStableListReferences(cursor.value.questions) };
+      if (survey.versions) {
+        survey.versions = survey.versions.map(version => ({ ...version, questions: toStableListReferences(version.questions) }));
+      }
+      cursor.update(survey);
+      cursor.continue();
+    };
+  }
+
   isReady() {
     return this.db !== null;
   }
 
+  async getSetting(key) {
+    const transaction = this.db.transaction(['settings'], 'readonly');
+    const store = transaction.objectStore('settings');
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result ? request.result.value : undefined);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async setSetting(key, value) {
+    const transaction = this.db.transaction(['settings'], 'readwrite');
+    const store = transaction.objectStore('settings');
+    return new Promise((resolve, reject) => {
+      const request = store.put({ key: key, value: value });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Every installation gets a permanent random device ID the first time it starts
+  async loadDevice() {
+    let deviceId = await this.getSetting('deviceId');
+    if (!deviceId) {
+      deviceId = generateUUID();
+      await this.setSetting('deviceId', deviceId);
+    }
+    
+    this.device = {
+      id: deviceId,
+      enumerator: (await this.getSetting('enumerator')) || ''
+    };
+  }
+
+  async setEnumerator(enumerator) {
+    await this.setSetting('enumerator', enumerator);
+    this.device.enumerator = enumerator;
+  }
+
   async saveSurvey(survey) {
     const transaction = this.db.transaction(['surveys'], 'readwrite');
     const store = transaction.objectStore('surveys');
     return store.add(survey);
   }
 
+  async updateSurvey(survey) {
+    const transaction = this.db.transaction(['surveys'], 'readwrite');
+    const store = transaction.objectStore('surveys');
+    return new Promise((resolve, reject) => {
+      const request = store.put(survey);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   async getAllSurveys() {
     const transaction = this.db.transaction(['surveys'], 'readonly');
     const store = transaction.objectStore('surveys');
@@ -77,13 +242,22 @@ class SurveyDB {
   }
 
   async deleteSurvey(id) {
-    const transaction = this.db.transaction(['surveys', 'responses'], 'readwrite');
+    const transaction = this.db.transaction(['surveys', 'responses', 'drafts', 'media'], 'readwrite');
     const surveyStore = transaction.objectStore('surveys');
     const responseStore = transaction.objectStore('responses');
+    const draftStore = transaction.objectStore('drafts');
     
     // Delete survey
     surveyStore.delete(id);
     
+    // Delete its drafts
+    draftStore.index('surveyId').getAllKeys(id).onsuccess = (event) => {
+      event.target.result.forEach(key => draftStore.delete(key));
+    };
+    
+    // Delete the media files of its responses
+    this.deleteMedia(transaction.objectStore('media'), 'surveyId', id);
+    
     // Delete all responses for this survey
     const responseIndex = responseStore.index('surveyId');
     const responseRequest = responseIndex.getAll(id);
@@ -99,18 +273,98 @@ class SurveyDB {
     });
   }
 
-  async saveResponse(surveyId, responseData) {
+  // Options: `encryption`, the survey's encryption block to store the answers
+  // encrypted, `language`, the language the questions were asked in, and `meta`,
+  // the interview metadata from buildResponseMeta
+  async saveResponse(surveyId, responseData, surveyVersion, { encryption = null, language = null, meta = null } = {}) {
     const response = {
+      uuid: generateUUID(),
       surveyId: surveyId,
+      surveyVersion: surveyVersion,
+      deviceId: this.device.id,
+      enumerator: this.device.enumerator,
       data: responseData,
       timestamp: new Date().toISOString()
     };
     
-    const transaction = this.db.transaction(['responses'], 'readwrite');
+    if (language) {
+      response.language = language;
+    }
+    
+    if (meta) {
+      response.meta = meta;
+    }
+    
+    const media = this.extractMedia(response);
+    
+    if (encryption) {
+      delete response.data;
+      response.encryptedData = await encryptResponseData(encryption, { data: responseData });
+    }
+    
+    // Without a sync endpoint the response is queued when one is set (queueUnsyncedResponses)
+    if (await this.getSetting('syncEndpoint')) {
+      response.syncStatus = 'pending';
+    }
+    
+    const transaction = this.db.transaction(['responses', 'media'], 'readwrite');
     const store = transaction.objectStore('responses');
+    media.forEach(record => transaction.objectStore('media').add(record));
     return store.add(response);
   }
 
+  // Moves Blob answers out of a response into media records. The answer keeps
+  // the file name the media is exported under, its type and its size.
+  extractMedia(response) {
+    const records = [];
+    response.data = { ...response.data };
+    Object.entries(response.data).forEach(([questionId, answer]) => {
+      if (answer && answer.blob instanceof Blob) {
+        const file = `${response.uuid}_${questionId}.${getMediaExtension(answer)}`;
+        records.push({ responseUuid: response.uuid, surveyId: response.surveyId, questionId: questionId, file: file, blob: answer.blob });
+        response.data[questionId] = { file: file, type: answer.type, size: answer.size };
+      }
+    });
+    return records;
+  }
+
+  // Deletes the media records with the given index value inside the caller's transaction
+  deleteMedia(mediaStore, indexName, key) {
+    mediaStore.index(indexName).getAllKeys(key).onsuccess = (event) => {
+      event.target.result.forEach(mediaKey => mediaStore.delete(mediaKey));
+    };
+  }
+
+  async getResponseMedia(responseUuid) {
+    const transaction = this.db.transaction(['media'], 'readonly');
+    const index = transaction.objectStore('media').index('responseUuid');
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(responseUuid);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllMedia() {
+    const transaction = this.db.transaction(['media'], 'readonly');
+    const store = transaction.objectStore('media');
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getSurveyMedia(surveyId) {
+    const transaction = this.db.transaction(['media'], 'readonly');
+    const index = transaction.objectStore('media').index('surveyId');
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(surveyId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   async getResponses(surveyId) {
     const transaction = this.db.transaction(['responses'], 'readonly');
     const store = transaction.objectStore('responses');
@@ -122,85 +376,450 @@ class SurveyDB {
     });
   }
 
-  async clearResponses(surveyId) {
+  async getAllResponses() {
+    const transaction = this.db.transaction(['responses'], 'readonly');
+    const store = transaction.objectStore('responses');
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getResponse(id) {
+    const transaction = this.db.transaction(['responses'], 'readonly');
+    const store = transaction.objectStore('responses');
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Responses to a survey recorded between two ISO timestamps (either bound may be null)
+  async getResponsesInRange(surveyId, from, to) {
+    const transaction = this.db.transaction(['responses'], 'readonly');
+    const index = transaction.objectStore('responses').index('timestamp');
+    let range = null;
+    if (from && to) {
+      range = IDBKeyRange.bound(from, to);
+    } else if (from) {
+      range = IDBKeyRange.lowerBound(from);
+    } else if (to) {
+      range = IDBKeyRange.upperBound(to);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(range);
+      request.onsuccess = () => resolve(request.result.filter(response => response.surveyId === surveyId));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async updateResponse(response) {
     const transaction = this.db.transaction(['responses'], 'readwrite');
     const store = transaction.objectStore('responses');
-    const index = store.index('surveyId');
-    const request = index.getAll(surveyId);
+    return new Promise((resolve, reject) => {
+      const request = store.put(response);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteResponse(id) {
+    const transaction = this.db.transaction(['responses', 'media'], 'readwrite');
+    const store = transaction.objectStore('responses');
+    
+    store.get(id).onsuccess = (event) => {
+      if (event.target.result) {
+        this.deleteMedia(transaction.objectStore('media'), 'responseUuid', event.target.result.uuid);
+      }
+      store.delete(id);
+    };
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Number of responses to a survey per local calendar day, in date order
+  async getResponseCountsByDay(surveyId) {
+    const transaction = this.db.transaction(['responses'], 'readonly');
+    const index = transaction.objectStore('responses').index('timestamp');
+    const counts = {};
     
     return new Promise((resolve, reject) => {
+      const request = index.openCursor();
       request.onsuccess = () => {
-        request.result.forEach(response => {
-          store.delete(response.id);
-        });
-        resolve();
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(counts);
+          return;
+        }
+        if (cursor.value.surveyId === surveyId) {
+          const day = toLocalDateKey(new Date(cursor.value.timestamp));
+          counts[day] = (counts[day] || 0) + 1;
+        }
+        cursor.continue();
       };
       request.onerror = () => reject(request.error);
     });
   }
-}
-
-// Initialize database
-let surveyDB = null;
-
-// Application state
-let currentSurvey = null;
-let currentSurveyId = null;
-let responseCards = [];
-let sessionResponseCount = 0;
 
-// Initialize database and start the app
-async function initializeApp() {
-  try {
-    surveyDB = new SurveyDB();
-    await surveyDB.init();
-    console.log('Database initialized successfully');
+  // Writes a backup into the database. 'replace' empties it first; 'merge' skips
+  // surveys and responses that are already present and renumbers colliding IDs.
+  // Media files are restored with the responses they belong to.
+  async restoreBackup(backup, mode) {
+    const existingSurveys = mode === 'replace' ? [] : await this.getAllSurveys();
+    const existingResponses = mode === 'replace' ? [] : await this.getAllResponses();
+    const existingLibrary = mode === 'replace' ? [] : await this.getLibraryItems();
     
-    // Now that database is ready, show the surveys page
-    showPage('surveys');
-  } catch (error) {
-    console.error('Failed to initialize database:', error);
-    alert('Failed to initialize database. Please refresh the page.');
+    const transaction = this.db.transaction(['surveys', 'responses', 'library', 'media'], 'readwrite');
+    const surveyStore = transaction.objectStore('surveys');
+    const responseStore = transaction.objectStore('responses');
+    const libraryStore = transaction.objectStore('library');
+    const mediaStore = transaction.objectStore('media');
+    const summary = { surveysAdded: 0, surveysSkipped: 0, responsesAdded: 0, responsesSkipped: 0, libraryAdded: 0, mediaAdded: 0 };
+    
+    if (mode === 'replace') {
+      surveyStore.clear();
+      responseStore.clear();
+      libraryStore.clear();
+      // Backups made before media was included leave the files in place, so
+      // restored responses still find theirs
+      if (Array.isArray(backup.media)) {
+        mediaStore.clear();
+      }
+    }
+    
+    const mediaByResponse = new Map();
+    (backup.media || []).forEach(record => {
+      mediaByResponse.set(record.responseUuid, [...(mediaByResponse.get(record.responseUuid) || []), record]);
+    });
+    
+    const takenSurveyIds = new Set(existingSurveys.map(survey => survey.id));
+    const takenResponseIds = new Set(existingResponses.map(response => response.id));
+    const responseKeys = new Set(existingResponses.flatMap(getResponseIdentities));
+    
+    // Colliding records get fresh IDs above everything in either set, so they
+    // can never clash with a backup ID that is inserted later in the loop
+    const maxId = records => records.reduce((max, record) => Math.max(max, Number(record.id) || 0), 0);
+    let nextSurveyId = Math.max(maxId(existingSurveys), maxId(backup.surveys));
+    let nextResponseId = Math.max(maxId(existingResponses), maxId(backup.responses));
+    
+    const addResponses = (backupSurveyId, surveyId) => {
+      backup.responses
+        .filter(response => response.surveyId === backupSurveyId)
+        .forEach(response => {
+          const restored = { ...response, surveyId: surveyId };
+          const keys = getResponseIdentities(restored);
+          if (keys.some(key => responseKeys.has(key))) {
+            summary.responsesSkipped++;
+            return;
+          }
+          keys.forEach(key => responseKeys.add(key));
+          restored.uuid = restored.uuid || generateUUID();
+          
+          if (takenResponseIds.has(restored.id)) {
+            restored.id = ++nextResponseId;
+          }
+          takenResponseIds.add(restored.id);
+          responseStore.add(restored);
+          summary.responsesAdded++;
+          
+          (mediaByResponse.get(restored.uuid) || []).forEach(record => {
+            mediaStore.add({
+              responseUuid: restored.uuid,
+              surveyId: surveyId,
+              questionId: record.questionId,
+              file: record.file,
+              blob: new Blob([base64ToBytes(record.data)], { type: record.type })
+            });
+            summary.mediaAdded++;
+          });
+        });
+    };
+    
+    backup.surveys.forEach(survey => {
+      const match = existingSurveys.find(local => isSameSurvey(local, survey));
+      if (match) {
+        summary.surveysSkipped++;
+        addResponses(survey.id, match.id);
+        return;
+      }
+      
+      const restored = { ...survey };
+      if (takenSurveyIds.has(restored.id)) {
+        restored.id = ++nextSurveyId;
+      }
+      takenSurveyIds.add(restored.id);
+      
+      const request = surveyStore.add(restored);
+      summary.surveysAdded++;
+      request.onsuccess = () => addResponses(survey.id, request.result);
+    });
+    
+    // Backups made before the question library have no library items
+    const libraryKeys = new Set(existingLibrary.map(item => `${item.name}|${JSON.stringify(item.questions)}`));
+    (backup.library || []).forEach(({ id, ...item }) => {
+      const key = `${item.name}|${JSON.stringify(item.questions)}`;
+      if (libraryKeys.has(key)) return;
+      libraryKeys.add(key);
+      libraryStore.add(item);
+      summary.libraryAdded++;
+    });
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(summary);
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
-}
 
-// DOM elements
-const pages = {
-  surveys: document.getElementById('surveys-page'),
-  create: document.getElementById('create-page'),
-  load: document.getElementById('load-page'),
-  conduct: document.getElementById('conduct-page')
-};
+  async saveDraft(draft) {
+    const transaction = this.db.transaction(['drafts'], 'readwrite');
+    const store = transaction.objectStore('drafts');
+    return new Promise((resolve, reject) => {
+      const request = store.put(draft);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-const navButtons = {
-  surveys: document.getElementById('nav-surveys'),
-  create: document.getElementById('nav-create'),
-  load: document.getElementById('nav-load')
-};
+  async getDrafts(surveyId) {
+    const transaction = this.db.transaction(['drafts'], 'readonly');
+    const index = transaction.objectStore('drafts').index('surveyId');
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(surveyId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-// Navigation
-function showPage(pageName) {
-  Object.values(pages).forEach(page => page.classList.add('hidden'));
-  pages[pageName].classList.remove('hidden');
-  
-  if (pageName === 'surveys') {
-    loadSurveys();
+  async deleteDraft(id) {
+    const transaction = this.db.transaction(['drafts'], 'readwrite');
+    const store = transaction.objectStore('drafts');
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
   }
-}
 
-// Event listeners for navigation
-navButtons.surveys.addEventListener('click', () => showPage('surveys'));
-navButtons.create.addEventListener('click', () => showPage('create'));
-navButtons.load.addEventListener('click', () => showPage('load'));
+  async saveLibraryItem(item) {
+    const transaction = this.db.transaction(['library'], 'readwrite');
+    const store = transaction.objectStore('library');
+    return new Promise((resolve, reject) => {
+      const request = store.add(item);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-// Survey Management
-async function loadSurveys() {
-  if (!surveyDB) {
-    console.error('Database not initialized');
-    return;
+  async getLibraryItems() {
+    const transaction = this.db.transaction(['library'], 'readonly');
+    const store = transaction.objectStore('library');
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
   }
-  
-  try {
+
+  async deleteLibraryItem(id) {
+    const transaction = this.db.transaction(['library'], 'readwrite');
+    const store = transaction.objectStore('library');
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Adds responses from another device, skipping any whose unique ID is already
+  // stored or appears earlier in the same import
+  async importResponses(responses) {
+    const transaction = this.db.transaction(['responses'], 'readwrite');
+    const store = transaction.objectStore('responses');
+    const uuidIndex = store.index('uuid');
+    const summary = { added: 0, skipped: 0 };
+    const seenUuids = new Set();
+    
+    responses.forEach(response => {
+      if (seenUuids.has(response.uuid)) {
+        summary.skipped++;
+        return;
+      }
+      seenUuids.add(response.uuid);
+      
+      const request = uuidIndex.getKey(response.uuid);
+      request.onsuccess = () => {
+        if (request.result !== undefined) {
+          summary.skipped++;
+          return;
+        }
+        store.add(response);
+        summary.added++;
+      };
+    });
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(summary);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Queues the responses recorded on this device before a sync endpoint was set.
+  // Responses imported from other devices are left to those devices to upload.
+  async queueUnsyncedResponses() {
+    const transaction = this.db.transaction(['responses'], 'readwrite');
+    const deviceId = this.device.id;
+    
+    transaction.objectStore('responses').openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      
+      const response = cursor.value;
+      if (!response.syncStatus && (!response.deviceId || response.deviceId === deviceId)) {
+        cursor.update({ ...response, syncStatus: 'pending' });
+      }
+      cursor.continue();
+    };
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Puts responses the server rejected back in the upload queue
+  async retryFailedSync() {
+    const transaction = this.db.transaction(['responses'], 'readwrite');
+    const index = transaction.objectStore('responses').index('syncStatus');
+    
+    index.openCursor('failed').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      
+      const { syncError, ...response } = cursor.value;
+      cursor.update({ ...response, syncStatus: 'pending' });
+      cursor.continue();
+    };
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async clearResponses(surveyId) {
+    const transaction = this.db.transaction(['responses', 'media'], 'readwrite');
+    const store = transaction.objectStore('responses');
+    const index = store.index('surveyId');
+    const request = index.getAll(surveyId);
+    this.deleteMedia(transaction.objectStore('media'), 'surveyId', surveyId);
+    
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        request.result.forEach(response => {
+          store.delete(response.id);
+        });
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+// Initialize database
+let surveyDB = null;
+
+// Application state
+let currentSurvey = null;
+let currentSurveyId = null;
+let responseCards = [];
+let sessionResponseCount = 0;
+let editingSurveyId = null;
+
+// Initialize database and start the app
+async function initializeApp() {
+  try {
+    surveyDB = new SurveyDB();
+    await surveyDB.init();
+    console.log('Database initialized successfully');
+    
+    // A device left in kiosk mode goes straight back to it after a reload
+    const kioskSurvey = await getActiveKioskSurvey();
+    if (kioskSurvey) {
+      enterKiosk(kioskSurvey);
+    } else {
+      // Now that database is ready, show the surveys page
+      showPage('surveys');
+    }
+    
+    // Upload anything left in the queue by an earlier session
+    requestSync();
+  } catch (error) {
+    console.error('Failed to initialize database:', error);
+    alert('Failed to initialize database. Please refresh the page.');
+  }
+}
+
+// DOM elements
+const pages = {
+  surveys: document.getElementById('surveys-page'),
+  create: document.getElementById('create-page'),
+  load: document.getElementById('load-page'),
+  conduct: document.getElementById('conduct-page'),
+  results: document.getElementById('results-page'),
+  responses: document.getElementById('responses-page'),
+  settings: document.getElementById('settings-page'),
+  kiosk: document.getElementById('kiosk-page')
+};
+
+const navButtons = {
+  surveys: document.getElementById('nav-surveys'),
+  create: document.getElementById('nav-create'),
+  load: document.getElementById('nav-load'),
+  settings: document.getElementById('nav-settings')
+};
+
+// Navigation
+function showPage(pageName) {
+  Object.values(pages).forEach(page => page.classList.add('hidden'));
+  pages[pageName].classList.remove('hidden');
+  
+  if (pageName === 'surveys') {
+    loadSurveys();
+  } else if (pageName === 'load') {
+    document.getElementById('restore-result').classList.add('hidden');
+    cancelQuestionnaireImport();
+    hideLoadErrors();
+  } else if (pageName === 'settings') {
+    loadSettings();
+  }
+}
+
+// Event listeners for navigation
+navButtons.surveys.addEventListener('click', () => showPage('surveys'));
+navButtons.create.addEventListener('click', () => {
+  // Leaving an edit in progress starts a fresh survey instead
+  if (editingSurveyId !== null) {
+    resetSurveyEditor();
+  }
+  showPage('create');
+});
+navButtons.load.addEventListener('click', () => showPage('load'));
+navButtons.settings.addEventListener('click', () => showPage('settings'));
+
+// Survey Management
+async function loadSurveys() {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  try {
     const surveys = await surveyDB.getAllSurveys();
     const surveysList = document.getElementById('surveys-list');
     const noSurveys = document.getElementById('no-surveys');
@@ -214,27 +833,57 @@ async function loadSurveys() {
     noSurveys.classList.add('hidden');
     surveysList.innerHTML = (await Promise.all(surveys.map(async survey => {
       const responses = await surveyDB.getResponses(survey.id);
+      const drafts = await surveyDB.getDrafts(survey.id);
       return `
         <div class="bg-white shadow rounded-lg p-6">
           <div class="flex justify-between items-start">
             <div>
               <h3 class="text-lg font-medium text-gray-900">${survey.name}</h3>
-              <p class="text-sm text-gray-500">${survey.questions.length} questions • ${responses.length} responses</p>
+              <p class="text-sm text-gray-500">${survey.questions.length} questions • ${responses.length} responses • ${drafts.length} drafts • v${getSurveyVersion(survey)}${survey.encryption ? ' • Encrypted' : ''}</p>
               <p class="text-xs text-gray-400">Created: ${new Date(survey.createdAt).toLocaleDateString()}</p>
+              ${renderSyncStatus(responses)}
             </div>
-            <div class="flex space-x-2">
+            <div class="flex flex-wrap justify-end gap-2">
+              <button onclick="editSurvey(${survey.id})" 
+                      class="bg-indigo-600 text-white px-3 py-1 rounded text-sm hover:bg-indigo-700 transition-colors">
+                Edit
+              </button>
               <button onclick="downloadSurveyConfig(${survey.id})" 
                       class="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 transition-colors">
                 Download Config
               </button>
+              <button onclick="createFromSurvey(${survey.id})" 
+                      class="bg-sky-600 text-white px-3 py-1 rounded text-sm hover:bg-sky-700 transition-colors">
+                Copy
+              </button>
+              <button onclick="openSaveToLibraryDialog(${survey.id})" 
+                      class="bg-violet-600 text-white px-3 py-1 rounded text-sm hover:bg-violet-700 transition-colors">
+                Save to Library
+              </button>
               <button onclick="conductSurvey(${survey.id})" 
                       class="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 transition-colors">
                 Conduct
               </button>
+              <button onclick="startKiosk(${survey.id})" 
+                      class="bg-emerald-700 text-white px-3 py-1 rounded text-sm hover:bg-emerald-800 transition-colors">
+                Kiosk
+              </button>
+              <button onclick="showResults(${survey.id})" 
+                      class="bg-teal-600 text-white px-3 py-1 rounded text-sm hover:bg-teal-700 transition-colors">
+                Results
+              </button>
+              <button onclick="browseResponses(${survey.id})" 
+                      class="bg-cyan-600 text-white px-3 py-1 rounded text-sm hover:bg-cyan-700 transition-colors">
+                Responses
+              </button>
               <button onclick="downloadResponses(${survey.id})" 
                       class="bg-purple-600 text-white px-3 py-1 rounded text-sm hover:bg-purple-700 transition-colors">
                 Download Responses
               </button>
+              <button onclick="importResponses(${survey.id})" 
+                      class="bg-orange-600 text-white px-3 py-1 rounded text-sm hover:bg-orange-700 transition-colors">
+                Import Responses
+              </button>
               <button onclick="clearResponses(${survey.id})" 
                       class="bg-yellow-600 text-white px-3 py-1 rounded text-sm hover:bg-yellow-700 transition-colors">
                 Clear Responses
@@ -267,7 +916,7 @@ async function downloadSurveyConfig(surveyId) {
       return;
     }
     
-    const dataStr = JSON.stringify(survey, null, 2);
+    const dataStr = JSON.stringify({ ...survey, schemaVersion: SURVEY_SCHEMA_VERSION }, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(dataBlob);
     
@@ -297,6 +946,9 @@ async function conductSurvey(surveyId) {
       return;
     }
     
+    // Cards of the previous session are about to be dropped, so write their drafts first
+    await flushDraftSaves();
+    
     currentSurvey = survey;
     currentSurveyId = surveyId;
     responseCards = [];
@@ -308,6 +960,20 @@ async function conductSurvey(surveyId) {
     
     // Update session response counter
     updateSessionResponseCounter();
+    document.getElementById('conduct-encryption-note').classList.toggle('hidden', !survey.encryption);
+    
+    // The enumerator is chosen for the session, suggesting names already used for this survey
+    const responses = await surveyDB.getResponses(surveyId);
+    const names = new Set([surveyDB.device.enumerator, ...responses.map(response => response.enumerator)].filter(Boolean));
+    document.getElementById('conduct-enumerator-names').innerHTML = [...names]
+      .map(name => `<option value="${escapeHtml(name)}"></option>`)
+      .join('');
+    document.getElementById('conduct-enumerator').value = surveyDB.device.enumerator;
+    await renderQuotaProgress();
+    
+    // Offer to resume cards left unfinished in an earlier session
+    pendingDrafts = await surveyDB.getDrafts(surveyId);
+    renderDraftsBanner();
     
     showPage('conduct');
   } catch (error) {
@@ -342,26 +1008,23 @@ async function downloadResponses(surveyId) {
   }
   
   try {
-    const responses = await surveyDB.getResponses(surveyId);
     const survey = await surveyDB.getSurvey(surveyId);
+    const responses = await surveyDB.getResponses(surveyId);
     
     if (responses.length === 0) {
       alert('No responses found for this survey');
       return;
     }
     
-    // Convert to CSV
-    const csv = convertResponsesToCSV(survey, responses);
-    const dataBlob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(dataBlob);
+    if (!(await unlockSurvey(survey))) {
+      return;
+    }
     
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${survey.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_responses.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    exportSurveyId = surveyId;
+    exportSurveyHasRepeats = getRepeatSections(survey).length > 0;
+    document.getElementById('export-dialog-title').textContent = `Export Responses: ${survey.name}`;
+    updateExportOptions();
+    document.getElementById('export-dialog').classList.remove('hidden');
   } catch (error) {
     console.error('Error downloading responses:', error);
     alert('Error downloading responses');
@@ -387,402 +1050,5535 @@ async function clearResponses(surveyId) {
   }
 }
 
-function convertResponsesToCSV(survey, responses) {
-  const headers = ['Response ID', 'Timestamp'];
-  survey.questions.forEach((question, index) => {
-    headers.push(`Q${index + 1}: ${question.text}`);
-  });
-  
-  const rows = responses.map(response => {
-    const row = [response.id, response.timestamp];
-    survey.questions.forEach((question, index) => {
-      const answer = response.data[`question_${index}`] || '';
-      row.push(Array.isArray(answer) ? answer.join('; ') : answer);
-    });
-    return row;
-  });
-  
-  const csvContent = [headers, ...rows]
-    .map(row => row.map(field => `"${field}"`).join(','))
-    .join('\n');
+async function editSurvey(surveyId) {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
   
-  return csvContent;
+  try {
+    const survey = await surveyDB.getSurvey(surveyId);
+    if (!survey) {
+      alert('Survey not found');
+      return;
+    }
+    
+    resetSurveyEditor();
+    editingSurveyId = surveyId;
+    
+    document.getElementById('create-page-title').textContent = `Edit Survey: ${survey.name}`;
+    document.getElementById('edit-survey-note').classList.remove('hidden');
+    document.getElementById('survey-name').value = survey.name;
+    document.getElementById('survey-thank-you').value = survey.thankYouMessage || '';
+    document.getElementById('survey-languages').value = getSurveyLanguages(survey).join(', ');
+    // Encryption is chosen when a survey is created and can't be changed afterwards
+    document.getElementById('survey-encryption-option').classList.add('hidden');
+    document.getElementById('survey-encrypted-note').classList.toggle('hidden', !survey.encryption);
+    loadEditorItems(survey.sections, survey.questions);
+    renderQuotaEditor(survey.quotas || null);
+    
+    showPage('create');
+  } catch (error) {
+    console.error('Error loading survey for editing:', error);
+    alert('Error loading survey');
+  }
 }
 
-// Survey Creation
-let questionCounter = 0;
+// Survey Versions
+function getSurveyVersion(survey) {
+  return survey.version || 1;
+}
 
-document.getElementById('add-question').addEventListener('click', addQuestion);
-document.getElementById('save-survey').addEventListener('click', saveSurvey);
-document.getElementById('cancel-create').addEventListener('click', () => {
-  document.getElementById('survey-name').value = '';
-  document.getElementById('questions-container').innerHTML = '';
-  questionCounter = 0;
-  showPage('surveys');
-});
+function getSurveyVersions(survey) {
+  // Surveys saved before versioning only have their current questions
+  return survey.versions || [{
+    version: getSurveyVersion(survey),
+    questions: survey.questions,
+    savedAt: survey.createdAt || survey.loadedAt
+  }];
+}
 
-function addQuestion() {
-  const template = document.getElementById('question-template');
-  const clone = template.content.cloneNode(true);
-  
-  const questionItem = clone.querySelector('.question-item');
-  questionItem.dataset.questionId = questionCounter++;
-  
-  // Set up question type change handler
-  const questionTypeSelect = clone.querySelector('.question-type');
-  const multipleChoiceOptions = clone.querySelector('#multiple-choice-options');
-  const numChoicesInput = clone.querySelector('.num-choices');
-  const choicesContainer = clone.querySelector('.choices-container');
+function getVersionQuestions(survey, version) {
+  const entry = getSurveyVersions(survey).find(v => v.version === (version || 1));
+  return entry ? entry.questions : survey.questions;
+}
+
+// Question IDs
+function generateQuestionId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  return `q_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function generateSectionId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  return `s_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Globally unique response IDs (RFC 4122 version 4)
+function generateUUID() {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Gives every question without an ID one, across all versions of a survey.
+// A question in an older version reuses the ID of a question with the same text.
+function assignQuestionIds(survey) {
+  const idsByText = {};
+  const questionLists = [survey.questions, ...(survey.versions || []).map(v => v.questions)];
   
-  questionTypeSelect.addEventListener('change', () => {
-    if (questionTypeSelect.value === 'multiple') {
-      multipleChoiceOptions.classList.remove('hidden');
-      updateChoices(choicesContainer, parseInt(numChoicesInput.value));
-    } else {
-      multipleChoiceOptions.classList.add('hidden');
-    }
+  questionLists.forEach(questions => {
+    const usedIds = new Set(questions.map(question => question.id).filter(Boolean));
+    questions.forEach(question => {
+      if (!question.id) {
+        const matchingId = idsByText[question.text];
+        question.id = matchingId && !usedIds.has(matchingId) ? matchingId : generateQuestionId();
+        usedIds.add(question.id);
+      }
+      if (!idsByText[question.text]) {
+        idsByText[question.text] = question.id;
+      }
+    });
   });
   
-  numChoicesInput.addEventListener('change', () => {
-    updateChoices(choicesContainer, parseInt(numChoicesInput.value));
+  return survey;
+}
+
+// Columns for every question that appears in any version, current questions first
+function getExportColumns(survey) {
+  const columns = [];
+  const versions = getSurveyVersions(survey).slice().reverse();
+  [survey.questions, ...versions.map(v => v.questions)].forEach(questions => {
+    questions.forEach(question => {
+      if (!columns.some(column => column.id === question.id)) {
+        columns.push(question);
+      }
+    });
+  });
+  return columns;
+}
+
+// Formats a stored answer as a single text value for exports
+function formatAnswer(question, answer, separator = '; ') {
+  if (!isAnswered(answer)) {
+    return '';
+  }
+  if (Array.isArray(answer)) {
+    return answer.join(separator);
+  }
+  if (question.type === 'location' && typeof answer === 'object') {
+    return formatLocation(answer);
+  }
+  if (isMediaQuestion(question) && typeof answer === 'object') {
+    return answer.file ? `${MEDIA_FOLDER}/${answer.file}` : '';
+  }
+  if (question.type === 'date' && question.dateMode === 'datetime') {
+    return String(answer).replace('T', ' ');
+  }
+  return String(answer);
+}
+
+function isMultiSelect(question) {
+  return question.type === 'multiple' && question.allowMultiple;
+}
+
+// The question's choices plus any other values that appear in the responses,
+// such as choices that were removed in a later version of the survey
+function getAnswerChoices(survey, question, responses) {
+  const choices = [...(question.choices || [])];
+  getQuestionAnswers(survey, question, responses).forEach(answer => {
+    [].concat(answer ?? []).forEach(value => {
+      if (!choices.includes(value)) {
+        choices.push(value);
+      }
+    });
   });
+  return choices;
+}
+
+// Numbers stay numeric so spreadsheets can calculate with them
+function exportAnswer(question, answer, separator) {
+  return typeof answer === 'number' && !isNaN(answer) ? answer : formatAnswer(question, answer, separator);
+}
+
+// "Household / " for questions in the Household section
+function getSectionPrefix(survey, question) {
+  const section = getSection(survey, question.sectionId);
+  return section ? `${section.title} / ` : '';
+}
+
+// The export columns with a way to read each one's answer from a response. Questions
+// in repeated sections are left out, or with `flatten` repeated as many times as the
+// most repeats in any response, grouped by repeat; `repeat` is the repeat number.
+function getAnswerSlots(survey, responses, flatten) {
+  const columns = getExportColumns(survey);
+  const slots = [];
+  const flattenedSections = new Set();
   
-  // Set up remove button
-  clone.querySelector('.remove-question').addEventListener('click', () => {
-    questionItem.remove();
+  columns.forEach((question, index) => {
+    const section = getRepeatSection(survey, question);
+    if (!section) {
+      slots.push({ question, number: index + 1, getAnswer: response => response.data[question.id] });
+      return;
+    }
+    if (!flatten || flattenedSections.has(section.id)) {
+      return;
+    }
+    
+    flattenedSections.add(section.id);
+    const getRepeats = response => getRepeatAnswers(response.data, section, columns);
+    const repeatCount = Math.max(0, ...responses.map(response => getRepeats(response).length));
+    for (let repeat = 1; repeat <= repeatCount; repeat++) {
+      columns.forEach((sectionQuestion, sectionIndex) => {
+        if (sectionQuestion.sectionId === section.id) {
+          slots.push({
+            question: sectionQuestion,
+            number: sectionIndex + 1,
+            repeat: repeat,
+            getAnswer: response => (getRepeats(response)[repeat - 1] || {})[sectionQuestion.id]
+          });
+        }
+      });
+    }
   });
   
-  document.getElementById('questions-container').appendChild(clone);
+  return slots;
 }
 
-function updateChoices(container, numChoices) {
-  container.innerHTML = '';
-  for (let i = 0; i < numChoices; i++) {
-    const choiceDiv = document.createElement('div');
-    choiceDiv.innerHTML = `
-      <input type="text" class="choice-input w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" 
-             placeholder="Choice ${i + 1}">
-    `;
-    container.appendChild(choiceDiv);
+// Headers and cell builders for one answer: multi-select answers can have a 0/1
+// column per choice and locations have a column per field. `getAnswer` reads the
+// answer from whatever the rows are built from.
+function getAnswerColumns(survey, question, label, responses, options, getAnswer) {
+  if (isMultiSelect(question) && options.multiSelect === 'columns') {
+    return getAnswerChoices(survey, question, responses).map(choice => ({
+      header: `${label} [${choice}]`,
+      cell: row => {
+        const answer = getAnswer(row);
+        if (!isAnswered(answer)) return '';
+        return answer.includes(choice) ? 1 : 0;
+      }
+    }));
   }
+  if (question.type === 'location') {
+    return LOCATION_FIELDS.map(field => ({
+      header: `${label} [${field.label}]`,
+      cell: row => {
+        const answer = getAnswer(row);
+        return isAnswered(answer) ? answer[field.key] ?? '' : '';
+      }
+    }));
+  }
+  return [{ header: label, cell: row => exportAnswer(question, getAnswer(row), options.separator) }];
 }
 
-async function saveSurvey() {
-  const surveyName = document.getElementById('survey-name').value.trim();
+// One row per response and one or more columns per question. Repeated sections are
+// flattened into numbered columns unless they are exported with buildRepeatTable.
+function buildWideTable(survey, responses, options) {
+  const headers = ['Response ID', 'Response UUID', 'Device ID', 'Enumerator', 'Language', 'Timestamp', 'Survey Version'];
+  const cellBuilders = [];
+  const timingHeaders = [];
+  const timingBuilders = [];
+  
+  if (options.metadata) {
+    headers.push(...RESPONSE_META_COLUMNS.map(column => column.header));
+    getExportColumns(survey).forEach((question, index) => {
+      const label = `${getSectionPrefix(survey, question)}Q${index + 1}: ${question.text}`;
+      timingHeaders.push(`${label} [First Edit]`, `${label} [Last Edit]`);
+      timingBuilders.push(response => getAnswerTimeCells(response, question.id));
+    });
+  }
+  
+  getAnswerSlots(survey, responses, options.repeats !== 'table').forEach(({ question, number, repeat, getAnswer }) => {
+    const label = `${getSectionPrefix(survey, question)}Q${number}: ${question.text}${repeat ? ` [${repeat}]` : ''}`;
+    getAnswerColumns(survey, question, label, responses, options, getAnswer).forEach(column => {
+      headers.push(column.header);
+      cellBuilders.push(column.cell);
+    });
+  });
+  
+  const rows = responses.map(response => [
+    response.id,
+    response.uuid || '',
+    response.deviceId || '',
+    response.enumerator || '',
+    response.language || '',
+    response.timestamp,
+    response.surveyVersion || 1,
+    ...(options.metadata ? getResponseMetaCells(response) : []),
+    ...cellBuilders.map(buildCell => buildCell(response)),
+    ...timingBuilders.flatMap(buildCells => buildCells(response))
+  ]);
+  
+  return [[...headers, ...timingHeaders], ...rows];
+}
+
+// One row per repeat of a repeated section, linked to its response by the response ID
+function buildRepeatTable(survey, section, responses, options) {
+  const columns = getExportColumns(survey);
+  const headers = ['Response ID', 'Response UUID', 'Repeat Number'];
+  const cellBuilders = [];
+  
+  columns.forEach((question, index) => {
+    if (question.sectionId !== section.id) {
+      return;
+    }
+    const label = `Q${index + 1}: ${question.text}`;
+    getAnswerColumns(survey, question, label, responses, options, answers => answers[question.id]).forEach(column => {
+      headers.push(column.header);
+      cellBuilders.push(column.cell);
+    });
+  });
+  
+  const rows = responses.flatMap(response => getRepeatAnswers(response.data, section, columns).map((answers, index) => [
+    response.id,
+    response.uuid || '',
+    index + 1,
+    ...cellBuilders.map(buildCell => buildCell(answers))
+  ]));
+  
+  return [headers, ...rows];
+}
+
+// One row per (response, question) pair, using the questions of the version each response answered.
+// Questions in repeated sections have a row per repeat and the repeat number in a column of its own.
+function buildLongTable(survey, responses, options) {
+  const columns = getExportColumns(survey);
+  const hasRepeats = getRepeatSections(survey).length > 0;
+  const headers = [
+    'Response ID', 'Response UUID', 'Device ID', 'Enumerator', 'Language', 'Timestamp', 'Survey Version',
+    ...(options.metadata ? RESPONSE_META_COLUMNS.map(column => column.header) : []),
+    'Section', ...(hasRepeats ? ['Repeat'] : []), 'Question Number', 'Question ID', 'Question', 'Answer',
+    ...(options.metadata ? ['First Edit', 'Last Edit'] : [])
+  ];
+  const rows = [];
+  
+  responses.forEach(response => {
+    const questions = getVersionQuestions(survey, response.surveyVersion);
+    const addRow = (question, answers, repeat) => {
+      rows.push([
+        response.id,
+        response.uuid || '',
+        response.deviceId || '',
+        response.enumerator || '',
+        response.language || '',
+        response.timestamp,
+        response.surveyVersion || 1,
+        ...(options.metadata ? getResponseMetaCells(response) : []),
+        getSection(survey, question.sectionId)?.title || '',
+        ...(hasRepeats ? [repeat] : []),
+        columns.findIndex(column => column.id === question.id) + 1,
+        question.id,
+        question.text,
+        exportAnswer(question, answers[question.id], options.separator),
+        ...(options.metadata ? getAnswerTimeCells(response, question.id) : [])
+      ]);
+    };
+    
+    questions.forEach(question => {
+      const section = getRepeatSection(survey, question);
+      if (!section) {
+        addRow(question, response.data, '');
+      } else if (questions.find(q => q.sectionId === section.id) === question) {
+        const sectionQuestions = questions.filter(q => q.sectionId === section.id);
+        getRepeatAnswers(response.data, section, questions).forEach((answers, index) => {
+          sectionQuestions.forEach(sectionQuestion => addRow(sectionQuestion, answers, index + 1));
+        });
+      }
+    });
+  });
+  
+  return [headers, ...rows];
+}
+
+// RFC 4180: every field is quoted, embedded quotes are doubled and records end with CRLF
+function convertTableToCSV(table, delimiter = ',') {
+  return table
+    .map(row => row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(delimiter))
+    .join('\r\n') + '\r\n';
+}
+
+function convertResponsesToCSV(survey, responses, options = DEFAULT_EXPORT_OPTIONS) {
+  const table = options.layout === 'long'
+    ? buildLongTable(survey, responses, options)
+    : buildWideTable(survey, responses, options);
+  
+  const csvContent = convertTableToCSV(table, options.delimiter);
+  return options.bom ? `\uFEFF${csvContent}` : csvContent;
+}
+
+// One row per question in any version, describing how it was asked
+function buildCodebookTable(survey) {
+  const columns = getExportColumns(survey);
+  const headers = ['Number', 'Question ID', 'Question', 'Type', 'Required', 'Choices', 'Details', 'Validation', 'Display Conditions', 'Translations', 'In Current Version'];
+  
+  const rows = columns.map((question, index) => {
+    const details = [];
+    if (question.type === 'multiple') {
+      details.push(question.allowMultiple ? 'Multiple selections allowed' : 'Single selection');
+    } else if (question.type === 'number') {
+      if (question.min !== null && question.min !== undefined) details.push(`Min ${question.min}`);
+      if (question.max !== null && question.max !== undefined) details.push(`Max ${question.max}`);
+      if (question.integer) details.push('Whole numbers only');
+    } else if (question.type === 'date') {
+      details.push(`Format: ${question.dateMode || 'date'}`);
+    } else if (question.type === 'scale') {
+      details.push(`${question.scaleStyle === 'rating' ? 'Rating' : 'Likert'} scale ${question.scaleMin}-${question.scaleMax}`);
+      if (question.minLabel) details.push(`${question.scaleMin} = ${question.minLabel}`);
+      if (question.maxLabel) details.push(`${question.scaleMax} = ${question.maxLabel}`);
+    } else if (question.type === 'location') {
+      details.push('Latitude, longitude, accuracy and altitude in metres');
+    } else if (question.type === 'calculated') {
+      details.push(`Calculation: ${question.calculation}`);
+    }
+    if (question.name) {
+      details.push(`Variable name: ${question.name}`);
+    }
+    const repeatSection = getRepeatSection(survey, question);
+    if (repeatSection) {
+      const countNumber = columns.findIndex(column => column.id === repeatSection.repeat.countQuestionId) + 1;
+      details.push(`Asked once per repeat of "${repeatSection.title}"${countNumber > 0 ? `, as many times as the answer to Q${countNumber}` : ''}`);
+    }
+    if (question.type === 'photo') {
+      details.push(question.accept === 'any' ? 'Any file' : 'Photos only');
+    }
+    if (isMediaQuestion(question)) {
+      details.push(`Answers are file names in the ${MEDIA_FOLDER} folder`);
+    }
+    
+    const validation = (question.validation || []).map(rule => `${rule.rule} ${rule.value}`);
+    const conditions = question.conditions
+      ? question.conditions.rules.map(rule => {
+          const referenced = columns.findIndex(column => column.id === rule.questionId) + 1;
+          return `Q${referenced} ${rule.operator}${rule.value !== undefined ? ` ${rule.value}` : ''}`;
+        }).join(question.conditions.match === 'any' ? ' OR ' : ' AND ')
+      : '';
+    
+    return [
+      index + 1,
+      question.id,
+      question.text,
+      question.type,
+      question.required ? 'Yes' : 'No',
+      (question.choices || []).join('\n'),
+      details.join('; '),
+      validation.join('; '),
+      conditions,
+      Object.entries(question.translations || {})
+        .map(([language, translation]) => `${language}: ${translation.text || question.text}`)
+        .join('\n'),
+      survey.questions.some(current => current.id === question.id) ? 'Yes' : 'No'
+    ];
+  });
+  
+  return [headers, ...rows];
+}
+
+// Full survey definition and responses in one file
+function buildJSONExport(survey, responses) {
+  return {
+    format: 'offline-survey-tool-responses',
+    formatVersion: 1,
+    exportedAt: new Date().toISOString(),
+    survey: survey,
+    responses: responses
+  };
+}
+
+// Variables for statistics packages: short names, labels, numeric codes and value labels.
+// Repeated sections are flattened, so q5r2 is the answer to Q5 in the second repeat.
+function buildLabelledVariables(survey, responses) {
+  const variables = [
+    { name: 'response_id', label: 'Response ID', numeric: true, value: response => response.id },
+    { name: 'response_uuid', label: 'Response UUID', numeric: false, value: response => response.uuid || '' },
+    { name: 'device_id', label: 'Device ID', numeric: false, value: response => response.deviceId || '' },
+    { name: 'enumerator', label: 'Enumerator', numeric: false, value: response => response.enumerator || '' },
+    { name: 'language', label: 'Language', numeric: false, value: response => response.language || '' },
+    { name: 'timestamp', label: 'Timestamp', numeric: false, value: response => response.timestamp },
+    { name: 'survey_version', label: 'Survey version', numeric: true, value: response => response.surveyVersion || 1 }
+  ];
+  
+  getAnswerSlots(survey, responses, true).forEach(({ question, number, repeat, getAnswer }) => {
+    const name = repeat ? `q${number}r${repeat}` : `q${number}`;
+    const label = `Q${number}: ${question.text}${repeat ? ` [${repeat}]` : ''}`;
+    
+    if (isMultiSelect(question)) {
+      getAnswerChoices(survey, question, responses).forEach((choice, choiceIndex) => {
+        variables.push({
+          name: `${name}_${choiceIndex + 1}`,
+          label: `${label} [${choice}]`,
+          numeric: true,
+          valueLabels: [[0, 'Not selected'], [1, 'Selected']],
+          value: response => {
+            const answer = getAnswer(response);
+            if (!isAnswered(answer)) return '';
+            return answer.includes(choice) ? 1 : 0;
+          }
+        });
+      });
+    } else if (question.type === 'multiple' || question.type === 'dropdown') {
+      const choices = getAnswerChoices(survey, question, responses);
+      variables.push({
+        name,
+        label,
+        numeric: true,
+        valueLabels: choices.map((choice, choiceIndex) => [choiceIndex + 1, choice]),
+        value: response => {
+          const answer = [].concat(getAnswer(response) ?? []);
+          return answer.length > 0 ? choices.indexOf(answer[0]) + 1 : '';
+        }
+      });
+    } else if (question.type === 'location') {
+      LOCATION_FIELDS.forEach(field => {
+        variables.push({
+          name: `${name}_${field.suffix}`,
+          label: `${label} [${field.label}]`,
+          numeric: true,
+          value: response => {
+            const answer = getAnswer(response);
+            return isAnswered(answer) ? answer[field.key] ?? '' : '';
+          }
+        });
+      });
+    } else if (question.type === 'scale' || question.type === 'number' || isNumericCalculation(survey, question, responses)) {
+      const valueLabels = [];
+      if (question.minLabel) valueLabels.push([question.scaleMin, question.minLabel]);
+      if (question.maxLabel) valueLabels.push([question.scaleMax, question.maxLabel]);
+      variables.push({
+        name,
+        label,
+        numeric: true,
+        valueLabels: valueLabels.length > 0 ? valueLabels : undefined,
+        value: response => (isAnswered(getAnswer(response)) ? getAnswer(response) : '')
+      });
+    } else {
+      variables.push({
+        name,
+        label,
+        numeric: false,
+        value: response => formatAnswer(question, getAnswer(response))
+      });
+    }
+  });
+  
+  return variables;
+}
+
+// Calculated questions whose answers are all numbers are exported as numeric variables
+function isNumericCalculation(survey, question, responses) {
+  return question.type === 'calculated' && getQuestionAnswers(survey, question, responses)
+    .every(answer => !isAnswered(answer) || typeof answer === 'number');
+}
+
+function toSingleLine(text, maxLength) {
+  return String(text).replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+function buildSPSSSyntax(variables, rows, dataFileName) {
+  const formats = variables.map((variable, index) => {
+    const values = rows.map(row => row[index]).filter(value => value !== '');
+    if (!variable.numeric) {
+      const width = Math.max(1, ...values.map(value => new TextEncoder().encode(String(value)).length));
+      return `A${Math.min(width, 32767)}`;
+    }
+    return values.every(value => Number.isInteger(Number(value))) ? 'F8.0' : 'F12.4';
+  });
+  const quote = text => `'${String(text).replace(/'/g, "''")}'`;
+  
+  const lines = [
+    '* Encoding: UTF-8.',
+    '* Update the FILE path if the data file is not in the current working directory.',
+    'GET DATA',
+    '  /TYPE=TXT',
+    `  /FILE=${quote(dataFileName)}`,
+    "  /ENCODING='UTF8'",
+    '  /DELCASE=LINE',
+    '  /DELIMITERS=","',
+    `  /QUALIFIER='"'`,
+    '  /ARRANGEMENT=DELIMITED',
+    '  /FIRSTCASE=2',
+    '  /VARIABLES=',
+    ...variables.map((variable, index) => `    ${variable.name} ${formats[index]}`),
+    '.',
+    'VARIABLE LABELS',
+    `  ${variables.map(variable => `${variable.name} ${quote(toSingleLine(variable.label, 256))}`).join('\n  /')}.`
+  ];
+  
+  const labelled = variables.filter(variable => variable.valueLabels);
+  if (labelled.length > 0) {
+    lines.push(
+      'VALUE LABELS',
+      `  ${labelled.map(variable =>
+        `${variable.name} ${variable.valueLabels.map(([code, text]) => `${code} ${quote(toSingleLine(text, 120))}`).join(' ')}`
+      ).join('\n  /')}.`
+    );
+  }
+  
+  lines.push('EXECUTE.');
+  return lines.join('\n') + '\n';
+}
+
+function buildStataDo(variables, dataFileName) {
+  // Compound double quotes allow labels that contain quotation marks
+  const quote = text => `\`"${text}"'`;
+  const stringColumns = variables
+    .map((variable, index) => (variable.numeric ? null : index + 1))
+    .filter(Boolean);
+  
+  const lines = [
+    '* Update the path if the data file is not in the current working directory.',
+    `import delimited using "${dataFileName}", varnames(1) encoding("utf-8") stringcols(${stringColumns.join(' ')}) clear`,
+    ...variables.map(variable => `label variable ${variable.name} ${quote(toSingleLine(variable.label, 80))}`)
+  ];
+  
+  variables.filter(variable => variable.valueLabels).forEach(variable => {
+    const labels = variable.valueLabels.map(([code, text]) => `${code} ${quote(toSingleLine(text, 80))}`).join(' ');
+    lines.push(`label define ${variable.name}_lbl ${labels}`, `label values ${variable.name} ${variable.name}_lbl`);
+  });
+  
+  return lines.join('\n') + '\n';
+}
+
+// A ZIP with coded data plus SPSS syntax and a Stata do-file that apply the labels
+async function buildLabelledExport(survey, responses, mediaFiles = []) {
+  const baseName = getFileBaseName(survey);
+  const dataFileName = `${baseName}_data.csv`;
+  const variables = buildLabelledVariables(survey, responses);
+  const rows = responses.map(response => variables.map(variable => variable.value(response)));
+  
+  return createZip([
+    { name: dataFileName, data: convertTableToCSV([variables.map(variable => variable.name), ...rows]) },
+    { name: `${baseName}.sps`, data: buildSPSSSyntax(variables, rows, dataFileName) },
+    { name: `${baseName}.do`, data: buildStataDo(variables, dataFileName) },
+    ...mediaFiles
+  ]);
+}
+
+// Response Export
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'csv',
+  layout: 'wide',
+  delimiter: ',',
+  bom: true,
+  multiSelect: 'joined',
+  separator: '; ',
+  repeats: 'flattened',
+  metadata: false
+};
+
+let exportSurveyId = null;
+let exportSurveyHasRepeats = false;
+
+document.getElementById('export-format').addEventListener('change', updateExportOptions);
+document.getElementById('export-layout').addEventListener('change', updateExportOptions);
+document.getElementById('export-multi-select').addEventListener('change', updateExportOptions);
+document.getElementById('export-cancel').addEventListener('click', closeExportDialog);
+document.getElementById('export-download').addEventListener('click', exportResponses);
+
+function readExportOptions() {
+  return {
+    format: document.getElementById('export-format').value,
+    layout: document.getElementById('export-layout').value,
+    delimiter: document.getElementById('export-delimiter').value,
+    bom: document.getElementById('export-bom').checked,
+    multiSelect: document.getElementById('export-multi-select').value,
+    separator: document.getElementById('export-separator').value,
+    repeats: document.getElementById('export-repeats').value,
+    metadata: document.getElementById('export-metadata').checked
+  };
+}
+
+// Hides options that have no effect with the current choices
+function updateExportOptions() {
+  const options = readExportOptions();
+  const isCSV = options.format === 'csv';
+  const isTable = isCSV || options.format === 'xlsx';
+  const isWide = options.format === 'xlsx' || options.layout === 'wide';
+  
+  document.getElementById('export-csv-options').classList.toggle('hidden', !isCSV);
+  document.getElementById('export-multi-select-option').classList.toggle('hidden', !isTable || !isWide);
+  document.getElementById('export-separator-option').classList.toggle('hidden',
+    !isTable || (isWide && options.multiSelect === 'columns'));
+  document.getElementById('export-repeats-option').classList.toggle('hidden', !isTable || !isWide || !exportSurveyHasRepeats);
+  document.getElementById('export-metadata-option').classList.toggle('hidden', !isTable);
+}
+
+function closeExportDialog() {
+  exportSurveyId = null;
+  document.getElementById('export-dialog').classList.add('hidden');
+}
+
+async function exportResponses() {
+  const options = readExportOptions();
+  
+  try {
+    const survey = await surveyDB.getSurvey(exportSurveyId);
+    const responses = await decryptResponses(survey, await surveyDB.getResponses(exportSurveyId));
+    
+    const baseName = getFileBaseName(survey);
+    // Photo, audio and signature files go in a ZIP next to the data that refers to them
+    const mediaFiles = await getMediaExportFiles(survey, responses);
+    
+    // Repeated sections can go in tables of their own, linked to the responses by ID
+    const repeatTables = options.repeats === 'table'
+      ? getRepeatSections(survey).map(section => ({ section, rows: buildRepeatTable(survey, section, responses, options) }))
+      : [];
+    
+    if (options.format === 'xlsx') {
+      const workbook = await buildXlsx([
+        { name: 'Responses', rows: buildWideTable(survey, responses, options) },
+        ...repeatTables.map(table => ({ name: table.section.title, rows: table.rows })),
+        { name: 'Codebook', rows: buildCodebookTable(survey) }
+      ]);
+      if (mediaFiles.length > 0) {
+        downloadFile(await createZip([{ name: `${baseName}_responses.xlsx`, data: workbook }, ...mediaFiles]), `${baseName}_responses.zip`);
+      } else {
+        downloadFile(workbook, `${baseName}_responses.xlsx`);
+      }
+      closeExportDialog();
+      return;
+    }
+    if (options.format === 'json') {
+      downloadFile(JSON.stringify(buildJSONExport(survey, responses), null, 2), `${baseName}_responses.json`, 'application/json');
+      closeExportDialog();
+      return;
+    }
+    if (options.format === 'labelled') {
+      downloadFile(await buildLabelledExport(survey, responses, mediaFiles), `${baseName}_labelled.zip`);
+      closeExportDialog();
+      return;
+    }
+    
+    // A joined answer cannot be split again if a choice contains the separator
+    const joinsAnswers = options.layout === 'long' || options.multiSelect === 'joined';
+    const ambiguousChoice = joinsAnswers && getExportColumns(survey)
+      .filter(isMultiSelect)
+      .flatMap(question => getAnswerChoices(survey, question, responses))
+      .find(choice => choice.includes(options.separator.trim()));
+    if (ambiguousChoice && !confirm(`The choice "${ambiguousChoice}" contains the separator, so joined answers will be ambiguous. Export anyway?`)) {
+      return;
+    }
+    
+    const csv = convertResponsesToCSV(survey, responses, options);
+    const extension = options.delimiter === '\t' ? 'tsv' : 'csv';
+    const repeatFiles = options.layout === 'wide'
+      ? repeatTables.map(table => {
+          const repeatCsv = convertTableToCSV(table.rows, options.delimiter);
+          return { name: `${baseName}_${toFileName(table.section.title)}.${extension}`, data: options.bom ? `\uFEFF${repeatCsv}` : repeatCsv };
+        })
+      : [];
+    if (mediaFiles.length > 0 || repeatFiles.length > 0) {
+      downloadFile(await createZip([{ name: `${baseName}_responses.${extension}`, data: csv }, ...repeatFiles, ...mediaFiles]), `${baseName}_responses.zip`);
+    } else {
+      downloadFile(csv, `${getFileBaseName(survey)}_responses.${extension}`, 'text/csv;charset=utf-8');
+    }
+    closeExportDialog();
+  } catch (error) {
+    console.error('Error exporting responses:', error);
+    alert('Error exporting responses');
+  }
+}
+
+function getFileBaseName(survey) {
+  return toFileName(survey.name);
+}
+
+function toFileName(text) {
+  return text.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+}
+
+function downloadFile(content, filename, type) {
+  const dataBlob = content instanceof Blob ? content : new Blob([content], { type: type });
+  const url = URL.createObjectURL(dataBlob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Survey Creation
+let questionCounter = 0;
+
+document.getElementById('add-question').addEventListener('click', () => addQuestion());
+document.getElementById('add-section').addEventListener('click', () => addSection());
+document.getElementById('survey-encrypt').addEventListener('change', (e) => {
+  document.getElementById('survey-encryption-fields').classList.toggle('hidden', !e.target.checked);
+});
+document.getElementById('save-survey').addEventListener('click', saveSurvey);
+document.getElementById('cancel-create').addEventListener('click', () => {
+  resetSurveyEditor();
+  showPage('surveys');
+});
+
+function resetSurveyEditor() {
+  editingSurveyId = null;
+  document.getElementById('create-page-title').textContent = 'Create New Survey';
+  document.getElementById('edit-survey-note').classList.add('hidden');
+  document.getElementById('survey-name').value = '';
+  document.getElementById('survey-thank-you').value = '';
+  document.getElementById('survey-languages').value = '';
+  document.getElementById('survey-encrypt').checked = false;
+  document.getElementById('survey-passphrase').value = '';
+  document.getElementById('survey-passphrase-confirm').value = '';
+  document.getElementById('survey-encryption-fields').classList.add('hidden');
+  document.getElementById('survey-encryption-option').classList.remove('hidden');
+  document.getElementById('survey-encrypted-note').classList.add('hidden');
+  document.getElementById('questions-container').innerHTML = '';
+  questionCounter = 0;
+  renderQuotaEditor(null);
+}
+
+// Adds a question to the editor, optionally pre-filled from an existing question
+function addQuestion(existingQuestion = null) {
+  const template = document.getElementById('question-template');
+  const clone = template.content.cloneNode(true);
+  
+  const questionItem = clone.querySelector('.question-item');
+  questionItem.dataset.questionId = questionCounter++;
+  // The stable question ID is assigned up front so display conditions can refer to it
+  questionItem.dataset.questionKey = existingQuestion ? existingQuestion.id : generateQuestionId();
+  
+  // Set up question type change handler
+  const questionTypeSelect = clone.querySelector('.question-type');
+  const numChoicesInput = clone.querySelector('.num-choices');
+  const choicesContainer = clone.querySelector('.choices-container');
+  
+  questionTypeSelect.addEventListener('change', () => {
+    updateQuestionTypeOptions(questionItem);
+    renderTranslations(questionItem);
+  });
+  
+  numChoicesInput.addEventListener('change', () => {
+    updateChoices(choicesContainer, parseInt(numChoicesInput.value));
+    renderTranslations(questionItem);
+  });
+  
+  // Translated choices show the original choice as their placeholder
+  choicesContainer.addEventListener('change', () => renderTranslations(questionItem));
+  
+  // Set up remove, duplicate and move buttons
+  clone.querySelector('.remove-question').addEventListener('click', () => {
+    questionItem.remove();
+  });
+  clone.querySelector('.duplicate-question').addEventListener('click', () => duplicateQuestion(questionItem));
+  setupEditorItemMoving(questionItem);
+  
+  // Set up display conditions
+  const conditionMatch = clone.querySelector('.conditions-match');
+  clone.querySelector('.add-condition').addEventListener('click', () => {
+    addConditionRow(questionItem);
+    conditionMatch.classList.remove('hidden');
+  });
+  
+  // Set up validation rules
+  clone.querySelector('.add-validation-rule').addEventListener('click', () => {
+    addValidationRuleRow(questionItem);
+  });
+  
+  if (existingQuestion) {
+    questionTypeSelect.value = existingQuestion.type;
+    clone.querySelector('.question-text').value = existingQuestion.text;
+    clone.querySelector('.question-name').value = existingQuestion.name || '';
+    clone.querySelector('.question-required').checked = !!existingQuestion.required;
+    
+    fillQuestionTypeOptions(questionItem, existingQuestion);
+    updateQuestionTypeOptions(questionItem);
+    
+    (existingQuestion.validation || []).forEach(rule => addValidationRuleRow(questionItem, rule));
+    
+    if (existingQuestion.conditions) {
+      clone.querySelector('.condition-match').value = existingQuestion.conditions.match;
+      conditionMatch.classList.remove('hidden');
+      existingQuestion.conditions.rules.forEach(rule => addConditionRow(questionItem, rule));
+    }
+  }
+  
+  renderTranslations(questionItem, existingQuestion ? existingQuestion.translations || {} : {});
+  
+  document.getElementById('questions-container').appendChild(clone);
+}
+
+// Shows the editor options that belong to the selected question type
+function updateQuestionTypeOptions(questionItem) {
+  const type = questionItem.querySelector('.question-type').value;
+  const hasChoices = type === 'multiple' || type === 'dropdown';
+  const choicesContainer = questionItem.querySelector('.choices-container');
+  
+  questionItem.querySelector('.multiple-choice-options').classList.toggle('hidden', !hasChoices);
+  questionItem.querySelector('.allow-multiple-option').classList.toggle('hidden', type !== 'multiple');
+  questionItem.querySelector('.number-options').classList.toggle('hidden', type !== 'number');
+  questionItem.querySelector('.date-options').classList.toggle('hidden', type !== 'date');
+  questionItem.querySelector('.scale-options').classList.toggle('hidden', type !== 'scale');
+  questionItem.querySelector('.photo-options').classList.toggle('hidden', type !== 'photo');
+  questionItem.querySelector('.calculated-options').classList.toggle('hidden', type !== 'calculated');
+  // Nobody answers calculated questions, so they can't be required
+  questionItem.querySelector('.required-option').classList.toggle('hidden', type === 'calculated');
+  
+  if (hasChoices && choicesContainer.children.length === 0) {
+    updateChoices(choicesContainer, parseInt(questionItem.querySelector('.num-choices').value));
+  }
+}
+
+function fillQuestionTypeOptions(questionItem, question) {
+  if (question.choices) {
+    const choicesContainer = questionItem.querySelector('.choices-container');
+    questionItem.querySelector('.num-choices').value = question.choices.length;
+    updateChoices(choicesContainer, question.choices.length);
+    choicesContainer.querySelectorAll('.choice-input').forEach((input, index) => {
+      input.value = question.choices[index];
+    });
+    questionItem.querySelector('.allow-multiple').checked = !!question.allowMultiple;
+  }
+  
+  if (question.type === 'number') {
+    questionItem.querySelector('.number-min').value = question.min ?? '';
+    questionItem.querySelector('.number-max').value = question.max ?? '';
+    questionItem.querySelector('.number-integer').checked = !!question.integer;
+  } else if (question.type === 'date') {
+    questionItem.querySelector('.date-mode').value = question.dateMode || 'date';
+  } else if (question.type === 'scale') {
+    questionItem.querySelector('.scale-style').value = question.scaleStyle || 'likert';
+    questionItem.querySelector('.scale-min').value = question.scaleMin;
+    questionItem.querySelector('.scale-max').value = question.scaleMax;
+    questionItem.querySelector('.scale-min-label').value = question.minLabel || '';
+    questionItem.querySelector('.scale-max-label').value = question.maxLabel || '';
+  } else if (question.type === 'photo') {
+    questionItem.querySelector('.file-accept').value = question.accept || 'image';
+  } else if (question.type === 'calculated') {
+    questionItem.querySelector('.calculation').value = question.calculation;
+  }
+}
+
+// Copies the type-specific editor options onto the question; throws when they are invalid
+function readQuestionTypeOptions(item, question) {
+  if (question.type === 'multiple' || question.type === 'dropdown') {
+    const numChoices = parseInt(item.querySelector('.num-choices').value);
+    const choiceInputs = item.querySelectorAll('.choice-input');
+    
+    const choices = [];
+    for (let i = 0; i < numChoices; i++) {
+      const choiceText = choiceInputs[i]?.value.trim();
+      if (!choiceText) {
+        throw new Error('Please enter text for all choices');
+      }
+      choices.push(choiceText);
+    }
+    
+    question.choices = choices;
+    if (question.type === 'multiple') {
+      question.allowMultiple = item.querySelector('.allow-multiple').checked;
+    }
+  } else if (question.type === 'number') {
+    const min = item.querySelector('.number-min').value;
+    const max = item.querySelector('.number-max').value;
+    question.min = min === '' ? null : Number(min);
+    question.max = max === '' ? null : Number(max);
+    question.integer = item.querySelector('.number-integer').checked;
+    
+    if (question.min !== null && question.max !== null && question.min > question.max) {
+      throw new Error('The minimum cannot be greater than the maximum');
+    }
+  } else if (question.type === 'date') {
+    question.dateMode = item.querySelector('.date-mode').value;
+  } else if (question.type === 'scale') {
+    question.scaleStyle = item.querySelector('.scale-style').value;
+    question.scaleMin = parseInt(item.querySelector('.scale-min').value);
+    question.scaleMax = parseInt(item.querySelector('.scale-max').value);
+    question.minLabel = item.querySelector('.scale-min-label').value.trim();
+    question.maxLabel = item.querySelector('.scale-max-label').value.trim();
+    
+    if (isNaN(question.scaleMin) || isNaN(question.scaleMax) || question.scaleMin >= question.scaleMax) {
+      throw new Error('The scale needs a lowest value below its highest value');
+    }
+    if (question.scaleMax - question.scaleMin > 10) {
+      throw new Error('Scales can have at most 11 points');
+    }
+  } else if (question.type === 'photo') {
+    question.accept = item.querySelector('.file-accept').value;
+  } else if (question.type === 'calculated') {
+    question.calculation = item.querySelector('.calculation').value.trim();
+    question.required = false;
+    if (!question.calculation) {
+      throw new Error('Please enter the calculation');
+    }
+    try {
+      parseExpression(question.calculation);
+    } catch (error) {
+      throw new Error(`The calculation is not valid: ${error.message}`);
+    }
+  }
+}
+
+function updateChoices(container, numChoices) {
+  container.innerHTML = '';
+  for (let i = 0; i < numChoices; i++) {
+    const choiceDiv = document.createElement('div');
+    choiceDiv.innerHTML = `
+      <input type="text" class="choice-input w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" 
+             placeholder="Choice ${i + 1}">
+    `;
+    container.appendChild(choiceDiv);
+  }
+}
+
+// Sections and Reordering
+// The editor is one ordered list of question items and section headings. A
+// question belongs to the nearest section heading above it.
+let draggedEditorItem = null;
+
+const questionsContainer = document.getElementById('questions-container');
+questionsContainer.addEventListener('dragover', (e) => {
+  if (!draggedEditorItem) return;
+  e.preventDefault();
+  const target = e.target.closest('.question-item, .section-item');
+  if (!target || target === draggedEditorItem) return;
+  
+  const rect = target.getBoundingClientRect();
+  if (e.clientY < rect.top + rect.height / 2) {
+    target.before(draggedEditorItem);
+  } else {
+    target.after(draggedEditorItem);
+  }
+});
+questionsContainer.addEventListener('drop', (e) => e.preventDefault());
+
+function getEditorItems() {
+  return Array.from(questionsContainer.querySelectorAll('.question-item, .section-item'));
+}
+
+function addSection(section = null) {
+  const clone = document.getElementById('section-template').content.cloneNode(true);
+  const sectionItem = clone.querySelector('.section-item');
+  sectionItem.dataset.sectionId = section ? section.id : generateSectionId();
+  
+  if (section) {
+    sectionItem.querySelector('.section-title').value = section.title;
+    sectionItem.querySelector('.section-intro').value = section.intro || '';
+  }
+  
+  // Repeats are chosen by the interviewer unless an earlier number question sets them
+  const repeatCheckbox = sectionItem.querySelector('.section-repeat');
+  const countSelect = sectionItem.querySelector('.section-repeat-count');
+  repeatCheckbox.checked = Boolean(section && section.repeat);
+  sectionItem.querySelector('.section-repeat-options').classList.toggle('hidden', !repeatCheckbox.checked);
+  repeatCheckbox.addEventListener('change', () => {
+    sectionItem.querySelector('.section-repeat-options').classList.toggle('hidden', !repeatCheckbox.checked);
+  });
+  countSelect.addEventListener('focus', () => populateRepeatCountQuestions(sectionItem, countSelect.value));
+  
+  clone.querySelector('.remove-section').addEventListener('click', () => sectionItem.remove());
+  setupEditorItemMoving(sectionItem);
+  
+  questionsContainer.appendChild(clone);
+  populateRepeatCountQuestions(sectionItem, section && section.repeat ? section.repeat.countQuestionId || '' : '');
+}
+
+// Number questions above the section heading that are not repeated themselves
+// can set the number of repeats
+function populateRepeatCountQuestions(sectionItem, selectedKey) {
+  const select = sectionItem.querySelector('.section-repeat-count');
+  select.innerHTML = '<option value="">Chosen by the interviewer</option>';
+  
+  const items = getEditorItems();
+  let repeated = false;
+  let questionNumber = 0;
+  items.slice(0, items.indexOf(sectionItem)).forEach(item => {
+    if (item.classList.contains('section-item')) {
+      repeated = item.querySelector('.section-repeat').checked;
+      return;
+    }
+    questionNumber++;
+    if (!repeated && item.querySelector('.question-type').value === 'number') {
+      const option = document.createElement('option');
+      option.value = item.dataset.questionKey;
+      option.textContent = `As many as the answer to Q${questionNumber}: ${item.querySelector('.question-text').value.trim() || '(untitled)'}`;
+      select.appendChild(option);
+    }
+  });
+  
+  select.value = selectedKey;
+  // Keep a reference to a question that has since moved or changed so saving can flag it
+  if (selectedKey && select.value !== selectedKey) {
+    const option = document.createElement('option');
+    option.value = selectedKey;
+    option.textContent = '(question is missing, not earlier or not a number)';
+    select.appendChild(option);
+    select.value = selectedKey;
+  }
+}
+
+// The section heading a question item in the editor belongs to, or null
+function getEditorSectionItem(questionItem) {
+  let item = questionItem.previousElementSibling;
+  while (item && !item.classList.contains('section-item')) {
+    item = item.previousElementSibling;
+  }
+  return item;
+}
+
+// Fills the editor with sections and questions, each section heading placed
+// before its first question. Sections without questions go at the end.
+function loadEditorItems(sections = [], questions) {
+  const added = new Set();
+  questions.forEach(question => {
+    const section = (sections || []).find(s => s.id === question.sectionId);
+    if (section && !added.has(section.id)) {
+      addSection(section);
+      added.add(section.id);
+    }
+    addQuestion(question);
+  });
+  (sections || []).filter(section => !added.has(section.id)).forEach(section => addSection(section));
+}
+
+// Drag-and-drop by the handle, the arrow buttons, and the arrow keys on the handle
+function setupEditorItemMoving(item) {
+  const handle = item.querySelector('.move-handle');
+  
+  // Only the handle starts a drag, so text in the item can still be selected
+  handle.addEventListener('pointerdown', () => {
+    item.draggable = true;
+  });
+  handle.addEventListener('pointerup', () => {
+    item.draggable = false;
+  });
+  item.addEventListener('dragstart', (e) => {
+    draggedEditorItem = item;
+    item.classList.add('opacity-50');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', '');
+  });
+  item.addEventListener('dragend', () => {
+    draggedEditorItem = null;
+    item.draggable = false;
+    item.classList.remove('opacity-50');
+  });
+  
+  handle.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      moveEditorItem(item, e.key === 'ArrowUp' ? -1 : 1);
+      handle.focus();
+    }
+  });
+  item.querySelector('.move-up').addEventListener('click', () => moveEditorItem(item, -1));
+  item.querySelector('.move-down').addEventListener('click', () => moveEditorItem(item, 1));
+}
+
+function moveEditorItem(item, direction) {
+  if (direction < 0 && item.previousElementSibling) {
+    item.previousElementSibling.before(item);
+  } else if (direction > 0 && item.nextElementSibling) {
+    item.nextElementSibling.after(item);
+  }
+  item.scrollIntoView({ block: 'nearest' });
+}
+
+// Adds a copy of a question right below it
+function duplicateQuestion(questionItem) {
+  let question;
+  try {
+    question = readQuestionItem(questionItem, getEarlierQuestionItems(questionItem).map(item => item.dataset.questionKey));
+  } catch (error) {
+    alert(`This question can't be duplicated yet: ${error.message}`);
+    return;
+  }
+  
+  // Variable names must stay unique, so the copy starts without one
+  addQuestion({ ...question, id: generateQuestionId(), name: undefined });
+  const items = questionsContainer.querySelectorAll('.question-item');
+  questionItem.after(items[items.length - 1]);
+}
+
+function getSection(survey, sectionId) {
+  return (survey.sections || []).find(section => section.id === sectionId) || null;
+}
+
+// Where a question's input goes while conducting: a collapsible group per
+// section, created on first use, or the container itself
+function getSectionGroup(container, survey, sectionId) {
+  const section = getSection(survey, sectionId);
+  if (!section) {
+    return container;
+  }
+  
+  let group = container.querySelector(`[data-section-group="${section.id}"]`);
+  if (!group) {
+    group = document.createElement('details');
+    group.open = true;
+    group.className = 'section-group mb-4 border border-gray-200 rounded-lg';
+    group.dataset.sectionGroup = section.id;
+    group.innerHTML = `
+      <summary class="px-4 py-2 bg-gray-50 rounded-lg cursor-pointer font-medium text-gray-900">${escapeHtml(section.title)}</summary>
+      <div class="section-questions p-4">
+        ${section.intro ? `<p class="text-sm text-gray-600 mb-4">${escapeHtml(section.intro)}</p>` : ''}
+      </div>
+    `;
+    container.appendChild(group);
+  }
+  return group.querySelector('.section-questions');
+}
+
+// Languages
+document.getElementById('survey-languages').addEventListener('input', () => {
+  document.querySelectorAll('.question-item').forEach(item => renderTranslations(item));
+});
+
+// The first language is the one the questions are written in
+function getSurveyLanguages(survey) {
+  return survey.languages || [];
+}
+
+function getEditorLanguages() {
+  const languages = document.getElementById('survey-languages').value
+    .split(',')
+    .map(language => language.trim())
+    .filter(Boolean);
+  return [...new Set(languages)];
+}
+
+// Untranslated text falls back to the original
+function getQuestionText(question, language) {
+  const translation = language && question.translations && question.translations[language];
+  return (translation && translation.text) || question.text;
+}
+
+function getChoiceLabel(question, index, language) {
+  const translation = language && question.translations && question.translations[language];
+  return (translation && translation.choices && translation.choices[index]) || question.choices[index];
+}
+
+function getScaleLabel(question, labelKey, language) {
+  const translation = language && question.translations && question.translations[language];
+  return (translation && translation[labelKey]) || question[labelKey];
+}
+
+// Rebuilds the translation inputs for every language after the first, keeping
+// what was typed (or the given translations when a question is first loaded)
+function renderTranslations(questionItem, translations = null) {
+  const languages = getEditorLanguages().slice(1);
+  const values = translations || readTranslationInputs(questionItem);
+  const type = questionItem.querySelector('.question-type').value;
+  const choices = type === 'multiple' || type === 'dropdown'
+    ? Array.from(questionItem.querySelectorAll('.choice-input'), input => input.value.trim())
+    : [];
+  const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm';
+  
+  questionItem.querySelector('.translations-section').classList.toggle('hidden', languages.length === 0);
+  const container = questionItem.querySelector('.translations-container');
+  container.innerHTML = languages.map(language => `
+    <div class="translation-language border border-gray-200 rounded p-3 space-y-2" data-language="${escapeHtml(language)}">
+      <p class="text-sm font-medium text-gray-700">${escapeHtml(language)}</p>
+      <input type="text" class="translation-text ${inputClasses}" placeholder="Question text">
+      ${choices.map((choice, index) => `
+        <input type="text" class="translation-choice ${inputClasses}" placeholder="${escapeHtml(choice || `Choice ${index + 1}`)}">
+      `).join('')}
+      ${type === 'scale' ? `
+        <input type="text" class="translation-min-label ${inputClasses}" placeholder="Lowest value label">
+        <input type="text" class="translation-max-label ${inputClasses}" placeholder="Highest value label">
+      ` : ''}
+    </div>
+  `).join('');
+  
+  container.querySelectorAll('.translation-language').forEach(languageDiv => {
+    const translation = values[languageDiv.dataset.language] || {};
+    languageDiv.querySelector('.translation-text').value = translation.text || '';
+    languageDiv.querySelectorAll('.translation-choice').forEach((input, index) => {
+      input.value = (translation.choices && translation.choices[index]) || '';
+    });
+    if (type === 'scale') {
+      languageDiv.querySelector('.translation-min-label').value = translation.minLabel || '';
+      languageDiv.querySelector('.translation-max-label').value = translation.maxLabel || '';
+    }
+  });
+}
+
+function readTranslationInputs(questionItem) {
+  const translations = {};
+  questionItem.querySelectorAll('.translation-language').forEach(languageDiv => {
+    translations[languageDiv.dataset.language] = {
+      text: languageDiv.querySelector('.translation-text').value.trim(),
+      choices: Array.from(languageDiv.querySelectorAll('.translation-choice'), input => input.value.trim()),
+      minLabel: languageDiv.querySelector('.translation-min-label')?.value.trim() || '',
+      maxLabel: languageDiv.querySelector('.translation-max-label')?.value.trim() || ''
+    };
+  });
+  return translations;
+}
+
+// Translations that apply to the saved question, without empty fields
+function readQuestionTranslations(item, question) {
+  const translations = {};
+  Object.entries(readTranslationInputs(item)).forEach(([language, input]) => {
+    const translation = {};
+    if (input.text) translation.text = input.text;
+    if (question.choices && input.choices.some(Boolean)) {
+      translation.choices = question.choices.map((choice, index) => input.choices[index] || '');
+    }
+    if (question.type === 'scale') {
+      if (input.minLabel) translation.minLabel = input.minLabel;
+      if (input.maxLabel) translation.maxLabel = input.maxLabel;
+    }
+    if (Object.keys(translation).length > 0) {
+      translations[language] = translation;
+    }
+  });
+  return Object.keys(translations).length > 0 ? translations : null;
+}
+
+// Question Library
+// Saved question groups live in IndexedDB; built-in starter templates are listed
+// alongside them. Inserted questions are copies with fresh IDs.
+const BUILT_IN_TEMPLATES = [
+  {
+    name: 'Household demographics',
+    questions: [
+      { id: 't_age', type: 'number', text: 'Age', required: true, min: 0, max: 120, integer: true },
+      { id: 't_gender', type: 'multiple', text: 'Gender', required: true, choices: ['Female', 'Male', 'Other', 'Prefer not to say'], allowMultiple: false },
+      { id: 't_household', type: 'number', text: 'How many people live in your household?', required: true, min: 1, max: null, integer: true },
+      { id: 't_village', type: 'freeform', text: 'Village', required: false }
+    ]
+  },
+  {
+    name: 'Customer satisfaction',
+    questions: [
+      { id: 't_satisfaction', type: 'scale', text: 'Overall, how satisfied are you?', required: true, scaleStyle: 'likert', scaleMin: 1, scaleMax: 5, minLabel: 'Very dissatisfied', maxLabel: 'Very satisfied' },
+      { id: 't_recommend', type: 'scale', text: 'How likely are you to recommend us to a friend?', required: true, scaleStyle: 'likert', scaleMin: 0, scaleMax: 10, minLabel: 'Not at all likely', maxLabel: 'Extremely likely' },
+      { id: 't_improve', type: 'longtext', text: 'What could we improve?', required: false }
+    ]
+  },
+  {
+    name: 'Event feedback',
+    questions: [
+      { id: 't_heard', type: 'multiple', text: 'How did you hear about this event?', required: false, choices: ['Friend or family', 'Social media', 'Poster or flyer', 'Other'], allowMultiple: true },
+      { id: 't_rating', type: 'scale', text: 'How would you rate the event?', required: true, scaleStyle: 'rating', scaleMin: 1, scaleMax: 5, minLabel: '', maxLabel: '' },
+      { id: 't_again', type: 'dropdown', text: 'Would you attend again?', required: true, choices: ['Yes', 'Maybe', 'No'] },
+      {
+        id: 't_bring_back', type: 'longtext', text: 'What would make you come back?', required: false,
+        conditions: { match: 'all', rules: [{ questionId: 't_again', operator: 'notEquals', value: 'Yes' }] }
+      }
+    ]
+  }
+];
+
+let librarySaveSurvey = null;
+
+document.getElementById('open-library').addEventListener('click', openLibraryDialog);
+document.getElementById('library-close').addEventListener('click', () => {
+  document.getElementById('library-dialog').classList.add('hidden');
+});
+document.getElementById('library-save-cancel').addEventListener('click', () => {
+  librarySaveSurvey = null;
+  document.getElementById('library-save-dialog').classList.add('hidden');
+});
+document.getElementById('library-save-confirm').addEventListener('click', saveQuestionsToLibrary);
+
+// Copies questions with fresh IDs. Display conditions and {{references}} by ID
+// keep pointing at the copies; rules about questions outside the group are dropped.
+function copyQuestions(questions) {
+  const newIds = new Map(questions.map(question => [question.id, generateQuestionId()]));
+  return questions.map(question => {
+    const copy = JSON.parse(JSON.stringify(renameQuestionReferences(question, reference => newIds.get(reference) || reference)));
+    copy.id = newIds.get(question.id);
+    if (copy.conditions) {
+      copy.conditions.rules = copy.conditions.rules
+        .filter(rule => newIds.has(rule.questionId))
+        .map(rule => ({ ...rule, questionId: newIds.get(rule.questionId) }));
+      if (copy.conditions.rules.length === 0) {
+        delete copy.conditions;
+      }
+    }
+    return copy;
+  });
+}
+
+async function openLibraryDialog() {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  try {
+    const savedItems = await surveyDB.getLibraryItems();
+    const items = [
+      ...BUILT_IN_TEMPLATES.map((template, index) => ({ ...template, key: `template-${index}`, builtIn: true })),
+      ...savedItems.map(item => ({ ...item, key: `saved-${item.id}` }))
+    ];
+    
+    const container = document.getElementById('library-items');
+    container.innerHTML = items.map(item => `
+      <div class="border border-gray-200 rounded-lg p-4 flex justify-between items-start gap-4">
+        <div>
+          <p class="font-medium text-gray-900">${escapeHtml(item.name)}</p>
+          <p class="text-xs text-gray-500">
+            ${item.questions.length} question${item.questions.length === 1 ? '' : 's'} •
+            ${item.builtIn ? 'Built-in template' : `Saved ${new Date(item.createdAt).toLocaleDateString()}${item.sourceSurveyName ? ` from ${escapeHtml(item.sourceSurveyName)}` : ''}`}
+          </p>
+          <p class="text-sm text-gray-600 mt-1">${item.questions.map(question => escapeHtml(question.text)).join(' • ')}</p>
+        </div>
+        <div class="flex space-x-2 shrink-0">
+          <button data-insert="${item.key}" class="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 transition-colors">Insert</button>
+          ${item.builtIn ? '' : `<button data-delete="${item.id}" class="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700 transition-colors">Delete</button>`}
+        </div>
+      </div>
+    `).join('');
+    
+    container.querySelectorAll('[data-insert]').forEach(button => {
+      button.addEventListener('click', () => insertLibraryItem(items.find(item => item.key === button.dataset.insert)));
+    });
+    container.querySelectorAll('[data-delete]').forEach(button => {
+      button.addEventListener('click', () => deleteLibraryItem(Number(button.dataset.delete)));
+    });
+    
+    document.getElementById('library-dialog').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading question library:', error);
+    alert('Error loading question library');
+  }
+}
+
+function insertLibraryItem(item) {
+  // A template used on a blank form also names the survey
+  const nameInput = document.getElementById('survey-name');
+  if (item.builtIn && !nameInput.value.trim() && document.querySelectorAll('.question-item').length === 0) {
+    nameInput.value = item.name;
+  }
+  
+  copyQuestions(item.questions).forEach(question => addQuestion(question));
+  renderQuotaEditor();
+  document.getElementById('library-dialog').classList.add('hidden');
+}
+
+async function deleteLibraryItem(id) {
+  if (!confirm('Delete these questions from the library?')) {
+    return;
+  }
+  
+  try {
+    await surveyDB.deleteLibraryItem(id);
+    openLibraryDialog();
+  } catch (error) {
+    console.error('Error deleting library item:', error);
+    alert('Error deleting library item');
+  }
+}
+
+async function openSaveToLibraryDialog(surveyId) {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  try {
+    const survey = await surveyDB.getSurvey(surveyId);
+    if (!survey) {
+      alert('Survey not found');
+      return;
+    }
+    
+    librarySaveSurvey = survey;
+    document.getElementById('library-save-name').value = survey.name;
+    document.getElementById('library-save-questions').innerHTML = survey.questions.map(question => `
+      <label class="flex items-start">
+        <input type="checkbox" value="${question.id}" class="library-save-question mt-1 mr-2" checked>
+        <span class="text-sm text-gray-700">${escapeHtml(question.text)}</span>
+      </label>
+    `).join('');
+    document.getElementById('library-save-dialog').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading survey:', error);
+    alert('Error loading survey');
+  }
+}
+
+async function saveQuestionsToLibrary() {
+  const name = document.getElementById('library-save-name').value.trim();
+  const selectedIds = new Set(Array.from(document.querySelectorAll('.library-save-question:checked'), input => input.value));
+  const questions = librarySaveSurvey.questions.filter(question => selectedIds.has(question.id));
+  
+  if (!name) {
+    alert('Please enter a name for these questions');
+    return;
+  }
+  if (questions.length === 0) {
+    alert('Please select at least one question');
+    return;
+  }
+  
+  try {
+    await surveyDB.saveLibraryItem({
+      name: name,
+      questions: copyQuestions(questions),
+      sourceSurveyName: librarySaveSurvey.name,
+      createdAt: new Date().toISOString()
+    });
+    librarySaveSurvey = null;
+    document.getElementById('library-save-dialog').classList.add('hidden');
+    alert(`Saved ${questions.length} question${questions.length === 1 ? '' : 's'} to the library`);
+  } catch (error) {
+    console.error('Error saving to library:', error);
+    alert('Error saving to library');
+  }
+}
+
+// Starts a new survey from a copy of an existing one. Responses and encryption are not copied.
+async function createFromSurvey(surveyId) {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  try {
+    const survey = await surveyDB.getSurvey(surveyId);
+    if (!survey) {
+      alert('Survey not found');
+      return;
+    }
+    
+    resetSurveyEditor();
+    document.getElementById('survey-name').value = `Copy of ${survey.name}`;
+    document.getElementById('survey-thank-you').value = survey.thankYouMessage || '';
+    document.getElementById('survey-languages').value = getSurveyLanguages(survey).join(', ');
+    const questions = copyQuestions(survey.questions);
+    const idMap = new Map(survey.questions.map((question, index) => [question.id, questions[index].id]));
+    loadEditorItems(remapRepeatCounts(survey.sections, idMap), questions);
+    renderQuotaEditor(remapQuotas(survey.quotas, idMap));
+    showPage('create');
+  } catch (error) {
+    console.error('Error copying survey:', error);
+    alert('Error copying survey');
+  }
+}
+
+// Targets and Quotas
+// A survey can have an overall target and quota cells: every combination of
+// answers to one or more single-choice questions, each with its own target.
+// `survey.quotas` is { target, action, questionIds, cells: [{ values, target }] }
+// where `values` maps each quota question's ID to a choice.
+const MAX_QUOTA_CELLS = 100;
+
+// Targets entered for cells, kept while the cells come and go as quota questions change
+let quotaCellTargets = new Map();
+
+questionsContainer.addEventListener('change', () => renderQuotaEditor());
+questionsContainer.addEventListener('click', (e) => {
+  if (e.target.closest('.remove-question, .duplicate-question')) {
+    renderQuotaEditor();
+  }
+});
+
+// Quotas need exactly one answer per response
+function isSingleChoice(question) {
+  return question.type === 'dropdown' || (question.type === 'multiple' && !question.allowMultiple);
+}
+
+// Questions in the editor that quotas can be based on, with the choices typed so far.
+// Questions in repeated sections have more than one answer per response.
+function getEditorQuotaQuestions() {
+  const questionItems = Array.from(document.querySelectorAll('#questions-container .question-item'));
+  return questionItems
+    .filter(item => {
+      const sectionItem = getEditorSectionItem(item);
+      return !sectionItem || !sectionItem.querySelector('.section-repeat').checked;
+    })
+    .map(item => ({
+      id: item.dataset.questionKey,
+      type: item.querySelector('.question-type').value,
+      allowMultiple: item.querySelector('.allow-multiple').checked,
+      text: item.querySelector('.question-text').value.trim() || `Question ${questionItems.indexOf(item) + 1}`,
+      choices: Array.from(item.querySelectorAll('.choice-input')).map(input => input.value.trim()).filter(Boolean)
+    }))
+    .filter(question => isSingleChoice(question) && question.choices.length > 0);
+}
+
+// Every combination of the questions' choices, as { questionId: choice } objects
+function getQuotaCombinations(questions) {
+  return questions.reduce(
+    (combinations, question) => combinations.flatMap(values => question.choices.map(choice => ({ ...values, [question.id]: choice }))),
+    [{}]
+  );
+}
+
+function getQuotaCellLabel(values) {
+  return Object.values(values).join(' / ');
+}
+
+// Rebuilds the quota inputs from the questions in the editor, keeping what was
+// entered (or the given quotas when a survey is first loaded)
+function renderQuotaEditor(quotas = undefined) {
+  const questionsContainer = document.getElementById('quota-questions');
+  const cellsContainer = document.getElementById('quota-cells');
+  
+  let selectedIds;
+  if (quotas !== undefined) {
+    document.getElementById('survey-target').value = quotas && quotas.target ? quotas.target : '';
+    document.getElementById('quota-action').value = quotas ? quotas.action : 'warn';
+    selectedIds = new Set(quotas ? quotas.questionIds : []);
+    quotaCellTargets = new Map((quotas ? quotas.cells : []).map(cell => [JSON.stringify(cell.values), String(cell.target)]));
+  } else {
+    selectedIds = new Set(Array.from(questionsContainer.querySelectorAll('.quota-question:checked')).map(input => input.value));
+    cellsContainer.querySelectorAll('.quota-cell-target').forEach(input => quotaCellTargets.set(input.dataset.cell, input.value));
+  }
+  
+  const questions = getEditorQuotaQuestions();
+  questionsContainer.innerHTML = questions.length === 0
+    ? '<p class="text-sm text-gray-500">Add a single-choice multiple choice or dropdown question to set quotas.</p>'
+    : questions.map(question => `
+      <label class="flex items-center">
+        <input type="checkbox" class="quota-question mr-2" value="${escapeHtml(question.id)}" ${selectedIds.has(question.id) ? 'checked' : ''}>
+        <span class="text-sm text-gray-700">${escapeHtml(question.text)}</span>
+      </label>
+    `).join('');
+  questionsContainer.querySelectorAll('.quota-question').forEach(input => {
+    input.addEventListener('change', () => renderQuotaEditor());
+  });
+  
+  const selectedQuestions = questions.filter(question => selectedIds.has(question.id));
+  const combinations = selectedQuestions.length > 0 ? getQuotaCombinations(selectedQuestions) : [];
+  cellsContainer.classList.toggle('hidden', combinations.length === 0);
+  if (combinations.length > MAX_QUOTA_CELLS) {
+    cellsContainer.innerHTML = `<p class="text-sm text-red-600">These questions have ${combinations.length} answer combinations; quotas can have at most ${MAX_QUOTA_CELLS} cells.</p>`;
+    return;
+  }
+  cellsContainer.innerHTML = combinations.map(values => {
+    const key = JSON.stringify(values);
+    return `
+      <div class="flex items-center gap-3">
+        <span class="flex-1 text-sm text-gray-700">${escapeHtml(getQuotaCellLabel(values))}</span>
+        <input type="number" min="1" step="1" placeholder="No quota" 
+               class="quota-cell-target w-32 px-2 py-1 border border-gray-300 rounded-md text-sm" 
+               data-cell="${escapeHtml(key)}" value="${escapeHtml(quotaCellTargets.get(key) || '')}">
+      </div>
+    `;
+  }).join('');
+}
+
+// Reads the quota inputs; returns null when there is no target or quota and throws when they are invalid
+function readQuotaEditor() {
+  const parseTarget = (value, description) => {
+    const target = Number(value);
+    if (!Number.isInteger(target) || target < 1) {
+      throw new Error(`${description} must be a whole number of at least 1`);
+    }
+    return target;
+  };
+  
+  const targetValue = document.getElementById('survey-target').value.trim();
+  const target = targetValue === '' ? null : parseTarget(targetValue, 'The target number of responses');
+  const questionIds = Array.from(document.querySelectorAll('.quota-question:checked')).map(input => input.value);
+  const cellInputs = Array.from(document.querySelectorAll('.quota-cell-target'));
+  
+  if (questionIds.length > 0 && cellInputs.length === 0) {
+    throw new Error(`Quotas can have at most ${MAX_QUOTA_CELLS} cells`);
+  }
+  const cells = cellInputs
+    .filter(input => input.value.trim() !== '')
+    .map(input => ({
+      values: JSON.parse(input.dataset.cell),
+      target: parseTarget(input.value.trim(), `The quota for ${getQuotaCellLabel(JSON.parse(input.dataset.cell))}`)
+    }));
+  
+  if (target === null && cells.length === 0) {
+    return null;
+  }
+  return {
+    target: target,
+    action: document.getElementById('quota-action').value,
+    questionIds: cells.length > 0 ? questionIds : [],
+    cells: cells
+  };
+}
+
+// Quotas that refer to copied questions by their new IDs
+function remapQuotas(quotas, idMap) {
+  if (!quotas) {
+    return null;
+  }
+  const remapValues = values => Object.fromEntries(Object.entries(values).map(([id, choice]) => [idMap.get(id), choice]));
+  return {
+    ...quotas,
+    questionIds: quotas.questionIds.map(id => idMap.get(id)),
+    cells: quotas.cells.map(cell => ({ ...cell, values: remapValues(cell.values) }))
+  };
+}
+
+function isInQuotaCell(cell, answers) {
+  return Object.entries(cell.values).every(([id, choice]) => [].concat(answers[id] ?? [])[0] === choice);
+}
+
+// Response counts for the target and each quota cell. Encrypted surveys can
+// only have a target, since their answers can't be read to count cells.
+function getQuotaProgress(survey, responses) {
+  const cells = survey.quotas.cells.map(cell => ({ ...cell, count: 0 }));
+  responses.forEach(response => {
+    const answers = response.data || {};
+    cells.filter(cell => isInQuotaCell(cell, answers)).forEach(cell => cell.count++);
+  });
+  return { total: responses.length, cells: cells };
+}
+
+async function renderQuotaProgress() {
+  const container = document.getElementById('quota-progress');
+  if (!currentSurvey.quotas) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const progress = getQuotaProgress(currentSurvey, await surveyDB.getResponses(currentSurveyId));
+  const bars = [];
+  if (currentSurvey.quotas.target) {
+    bars.push(renderBar('All responses', `${progress.total} / ${currentSurvey.quotas.target}`, Math.min(100, (progress.total / currentSurvey.quotas.target) * 100)));
+  }
+  progress.cells.forEach(cell => {
+    bars.push(renderBar(getQuotaCellLabel(cell.values), `${cell.count} / ${cell.target}${cell.count >= cell.target ? ' • full' : ''}`, Math.min(100, (cell.count / cell.target) * 100)));
+  });
+  container.innerHTML = bars.join('');
+  container.classList.remove('hidden');
+}
+
+// Describes the target or quota cell a new response would go over, or returns null
+async function getFullQuotaMessage(survey, responseData) {
+  if (!survey.quotas) {
+    return null;
+  }
+  
+  const progress = getQuotaProgress(survey, await surveyDB.getResponses(survey.id));
+  if (survey.quotas.target && progress.total >= survey.quotas.target) {
+    return `The target of ${survey.quotas.target} responses has been reached`;
+  }
+  const fullCell = progress.cells.find(cell => isInQuotaCell(cell, responseData) && cell.count >= cell.target);
+  return fullCell
+    ? `The quota for ${getQuotaCellLabel(fullCell.values)} is full (${fullCell.count} of ${fullCell.target} responses)`
+    : null;
+}
+
+// Display Conditions
+const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'notEquals', label: 'does not equal' },
+  { value: 'includes', label: 'includes' },
+  { value: 'greaterThan', label: 'is greater than' },
+  { value: 'lessThan', label: 'is less than' },
+  { value: 'notIncludes', label: 'does not include' },
+  { value: 'answered', label: 'is answered' },
+  { value: 'notAnswered', label: 'is not answered' }
+];
+
+// Question items that come before the given one in the editor
+function getEarlierQuestionItems(questionItem) {
+  const items = Array.from(document.querySelectorAll('#questions-container .question-item'));
+  const index = items.indexOf(questionItem);
+  return index === -1 ? items : items.slice(0, index);
+}
+
+function findQuestionItem(questionKey) {
+  return Array.from(document.querySelectorAll('#questions-container .question-item'))
+    .find(item => item.dataset.questionKey === questionKey);
+}
+
+function addConditionRow(questionItem, rule = null) {
+  const row = document.createElement('div');
+  row.className = 'condition-row flex space-x-2 items-center';
+  row.innerHTML = `
+    <select class="condition-question flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"></select>
+    <select class="condition-operator px-2 py-1 border border-gray-300 rounded-md text-sm">
+      ${CONDITION_OPERATORS.map(operator => `<option value="${operator.value}">${operator.label}</option>`).join('')}
+    </select>
+    <div class="condition-value-container flex-1"></div>
+    <button type="button" class="remove-condition text-red-600 hover:text-red-800 text-sm">Remove</button>
+  `;
+  
+  const questionSelect = row.querySelector('.condition-question');
+  const operatorSelect = row.querySelector('.condition-operator');
+  
+  // Question text and order can change while editing, so options are refreshed on focus
+  questionSelect.addEventListener('focus', () => {
+    populateConditionQuestions(questionSelect, questionItem, questionSelect.value);
+  });
+  questionSelect.addEventListener('change', () => renderConditionValue(row, ''));
+  operatorSelect.addEventListener('change', () => {
+    row.querySelector('.condition-value-container').classList.toggle('hidden', !conditionNeedsValue(operatorSelect.value));
+  });
+  row.querySelector('.remove-condition').addEventListener('click', () => {
+    const conditionsContainer = row.parentElement;
+    row.remove();
+    if (conditionsContainer.children.length === 0) {
+      questionItem.querySelector('.conditions-match').classList.add('hidden');
+    }
+  });
+  
+  populateConditionQuestions(questionSelect, questionItem, rule ? rule.questionId : '');
+  if (rule) {
+    operatorSelect.value = rule.operator;
+  }
+  renderConditionValue(row, rule ? rule.value : '');
+  
+  questionItem.querySelector('.conditions-container').appendChild(row);
+}
+
+function populateConditionQuestions(select, questionItem, selectedKey) {
+  select.innerHTML = '';
+  
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Select an earlier question';
+  select.appendChild(placeholder);
+  
+  getEarlierQuestionItems(questionItem).forEach((item, index) => {
+    const option = document.createElement('option');
+    option.value = item.dataset.questionKey;
+    option.textContent = `Q${index + 1}: ${item.querySelector('.question-text').value.trim() || '(untitled)'}`;
+    select.appendChild(option);
+  });
+  
+  select.value = selectedKey;
+  // Keep a reference to a question that has since moved below this one so saving can flag it
+  if (selectedKey && select.value !== selectedKey) {
+    const option = document.createElement('option');
+    option.value = selectedKey;
+    option.textContent = '(question is missing or not earlier)';
+    select.appendChild(option);
+    select.value = selectedKey;
+  }
+}
+
+// Shows a choice dropdown for questions with choices and a text box otherwise
+function renderConditionValue(row, value) {
+  const container = row.querySelector('.condition-value-container');
+  const referencedItem = findQuestionItem(row.querySelector('.condition-question').value);
+  const referencedType = referencedItem && referencedItem.querySelector('.question-type').value;
+  const choices = referencedType === 'multiple' || referencedType === 'dropdown'
+    ? Array.from(referencedItem.querySelectorAll('.choice-input')).map(input => input.value.trim()).filter(Boolean)
+    : null;
+  
+  let valueInput;
+  if (choices) {
+    valueInput = document.createElement('select');
+    [...new Set([...choices, value].filter(Boolean))].forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice;
+      option.textContent = choice;
+      valueInput.appendChild(option);
+    });
+  } else {
+    valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.placeholder = 'Value';
+  }
+  valueInput.className = 'condition-value w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+  valueInput.value = value;
+  
+  container.innerHTML = '';
+  container.appendChild(valueInput);
+  container.classList.toggle('hidden', !conditionNeedsValue(row.querySelector('.condition-operator').value));
+}
+
+function conditionNeedsValue(operator) {
+  return operator !== 'answered' && operator !== 'notAnswered';
+}
+
+// Reads the display conditions of an editor item; returns null when there are none
+function readQuestionConditions(item, earlierKeys) {
+  const rows = item.querySelectorAll('.condition-row');
+  if (rows.length === 0) {
+    return null;
+  }
+  
+  const rules = [];
+  for (const row of rows) {
+    const questionId = row.querySelector('.condition-question').value;
+    const operator = row.querySelector('.condition-operator').value;
+    const value = row.querySelector('.condition-value').value.trim();
+    
+    if (!earlierKeys.includes(questionId)) {
+      throw new Error('Display conditions can only refer to earlier questions');
+    }
+    if (conditionNeedsValue(operator) && !value) {
+      throw new Error('Please enter a value for all display conditions');
+    }
+    
+    rules.push(conditionNeedsValue(operator) ? { questionId, operator, value } : { questionId, operator });
+  }
+  
+  return {
+    match: item.querySelector('.condition-match').value,
+    rules: rules
+  };
+}
+
+// Validation Rules
+const VALIDATION_RULES = [
+  { value: 'pattern', label: 'Matches pattern', types: ['freeform', 'longtext'] },
+  { value: 'minLength', label: 'Minimum length', types: ['freeform', 'longtext'] },
+  { value: 'maxLength', label: 'Maximum length', types: ['freeform', 'longtext'] },
+  { value: 'min', label: 'Minimum value', types: ['number'] },
+  { value: 'max', label: 'Maximum value', types: ['number'] },
+  { value: 'minSelections', label: 'Minimum selections', types: ['multiple'] },
+  { value: 'maxSelections', label: 'Maximum selections', types: ['multiple'] }
+];
+
+function addValidationRuleRow(questionItem, rule = null) {
+  const row = document.createElement('div');
+  row.className = 'validation-rule-row flex space-x-2 items-center';
+  row.innerHTML = `
+    <select class="validation-rule-type px-2 py-1 border border-gray-300 rounded-md text-sm">
+      ${VALIDATION_RULES.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+    </select>
+    <input type="text" class="validation-rule-value flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm" placeholder="Value">
+    <input type="text" class="validation-rule-message flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm" placeholder="Error message (optional)">
+    <button type="button" class="remove-validation-rule text-red-600 hover:text-red-800 text-sm">Remove</button>
+  `;
+  
+  const typeSelect = row.querySelector('.validation-rule-type');
+  const valueInput = row.querySelector('.validation-rule-value');
+  
+  typeSelect.addEventListener('change', () => updateValidationRulePlaceholder(typeSelect, valueInput));
+  row.querySelector('.remove-validation-rule').addEventListener('click', () => row.remove());
+  
+  // Start with a rule that fits the current question type
+  const questionType = questionItem.querySelector('.question-type').value;
+  const fittingRule = VALIDATION_RULES.find(option => option.types.includes(questionType));
+  typeSelect.value = rule ? rule.rule : (fittingRule ? fittingRule.value : 'pattern');
+  if (rule) {
+    valueInput.value = rule.value;
+    row.querySelector('.validation-rule-message').value = rule.message || '';
+  }
+  updateValidationRulePlaceholder(typeSelect, valueInput);
+  
+  questionItem.querySelector('.validation-rules-container').appendChild(row);
+}
+
+function updateValidationRulePlaceholder(typeSelect, valueInput) {
+  valueInput.placeholder = typeSelect.value === 'pattern'
+    ? 'Whole answer must match, e.g. \\d{3}-\\d{4}'
+    : 'Number';
+}
+
+// Reads the validation rules of an editor item; throws when a rule is invalid
+function readValidationRules(item, questionType) {
+  const rules = [];
+  
+  for (const row of item.querySelectorAll('.validation-rule-row')) {
+    const ruleType = row.querySelector('.validation-rule-type').value;
+    const rawValue = row.querySelector('.validation-rule-value').value.trim();
+    const message = row.querySelector('.validation-rule-message').value.trim();
+    const definition = VALIDATION_RULES.find(option => option.value === ruleType);
+    
+    if (!definition.types.includes(questionType)) {
+      throw new Error(`The "${definition.label}" rule does not apply to this question type`);
+    }
+    if (!rawValue) {
+      throw new Error('Please enter a value for all validation rules');
+    }
+    
+    let value = rawValue;
+    if (ruleType === 'pattern') {
+      try {
+        new RegExp(rawValue);
+      } catch (error) {
+        throw new Error(`Invalid pattern: ${rawValue}`);
+      }
+    } else {
+      value = Number(rawValue);
+      if (isNaN(value)) {
+        throw new Error(`The "${definition.label}" rule needs a number`);
+      }
+    }
+    
+    rules.push(message ? { rule: ruleType, value, message } : { rule: ruleType, value });
+  }
+  
+  return rules;
+}
+
+// Reads one editor question item; throws when it is incomplete or invalid.
+// `earlierIds` are the IDs its display conditions may refer to.
+function readQuestionItem(item, earlierIds) {
+  const questionType = item.querySelector('.question-type').value;
+  const questionText = item.querySelector('.question-text').value.trim();
+  
+  if (!questionText) {
+    throw new Error('Please enter the question text');
+  }
+  
+  const question = {
+    id: item.dataset.questionKey,
+    type: questionType,
+    text: questionText,
+    required: item.querySelector('.question-required').checked
+  };
+  
+  const name = item.querySelector('.question-name').value.trim();
+  if (name && !EXPRESSION_NAME_PATTERN.test(name)) {
+    throw new Error('Variable names can only contain letters, digits and underscores, and cannot start with a digit');
+  }
+  if (name) {
+    question.name = name;
+  }
+  
+  readQuestionTypeOptions(item, question);
+  
+  const validation = readValidationRules(item, questionType);
+  if (validation.length > 0) {
+    question.validation = validation;
+  }
+  
+  const conditions = readQuestionConditions(item, earlierIds);
+  if (conditions) {
+    question.conditions = conditions;
+  }
+  
+  const translations = readQuestionTranslations(item, question);
+  if (translations) {
+    question.translations = translations;
+  }
+  
+  return question;
+}
+
+async function saveSurvey() {
+  const surveyName = document.getElementById('survey-name').value.trim();
+  const thankYouMessage = document.getElementById('survey-thank-you').value.trim();
+  const languages = getEditorLanguages();
   if (!surveyName) {
     alert('Please enter a survey name');
     return;
   }
   
-  const questionItems = document.querySelectorAll('.question-item');
-  if (questionItems.length === 0) {
-    alert('Please add at least one question');
+  if (document.querySelectorAll('.question-item').length === 0) {
+    alert('Please add at least one question');
+    return;
+  }
+  
+  const questions = [];
+  const sections = [];
+  
+  // Questions belong to the nearest section heading above them
+  for (const item of getEditorItems()) {
+    if (item.classList.contains('section-item')) {
+      const title = item.querySelector('.section-title').value.trim();
+      const intro = item.querySelector('.section-intro').value.trim();
+      if (!title) {
+        alert('Please enter a title for all sections');
+        return;
+      }
+      const section = intro ? { id: item.dataset.sectionId, title, intro } : { id: item.dataset.sectionId, title };
+      if (item.querySelector('.section-repeat').checked) {
+        const countQuestionId = item.querySelector('.section-repeat-count').value;
+        const countQuestion = questions.find(question => question.id === countQuestionId);
+        if (countQuestionId && (!countQuestion || countQuestion.type !== 'number' || sections.some(s => s.repeat && s.id === countQuestion.sectionId))) {
+          alert(`Section "${title}": the number of repeats can only come from an earlier number question outside repeated sections`);
+          return;
+        }
+        section.repeat = countQuestionId ? { countQuestionId } : {};
+      }
+      sections.push(section);
+      continue;
+    }
+    
+    try {
+      const question = toStableReferences(readQuestionItem(item, questions.map(q => q.id)), questions);
+      checkQuestionReferences(question, questions);
+      if (sections.length > 0) {
+        question.sectionId = sections[sections.length - 1].id;
+      }
+      checkRepeatedQuestion(question, questions, sections);
+      questions.push(question);
+    } catch (error) {
+      alert(`Question ${questions.length + 1}: ${error.message}`);
+      return;
+    }
+  }
+  
+  let quotas;
+  try {
+    quotas = readQuotaEditor();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    alert('Database not ready. Please refresh the page.');
+    return;
+  }
+  
+  try {
+    const now = new Date().toISOString();
+    
+    if (editingSurveyId !== null) {
+      const existingSurvey = await surveyDB.getSurvey(editingSurveyId);
+      if (!existingSurvey) {
+        alert('Survey not found');
+        return;
+      }
+      
+      if (existingSurvey.encryption && questions.some(isMediaQuestion)) {
+        alert('Photo, audio and signature questions cannot be used in encrypted surveys');
+        return;
+      }
+      if (existingSurvey.encryption && quotas && quotas.questionIds.length > 0) {
+        alert('Quotas on answers cannot be used in encrypted surveys; set only a target number of responses');
+        return;
+      }
+      
+      const survey = { ...existingSurvey, name: surveyName, thankYouMessage: thankYouMessage, languages: languages, sections: sections, quotas: quotas, updatedAt: now };
+      // Only a change to the questions starts a new version; renaming does not
+      if (JSON.stringify(questions) !== JSON.stringify(existingSurvey.questions)) {
+        survey.version = getSurveyVersion(existingSurvey) + 1;
+        survey.versions = [
+          ...getSurveyVersions(existingSurvey),
+          { version: survey.version, questions: questions, savedAt: now }
+        ];
+        survey.questions = questions;
+      }
+      await surveyDB.updateSurvey(survey);
+    } else {
+      const survey = {
+        name: surveyName,
+        thankYouMessage: thankYouMessage,
+        languages: languages,
+        sections: sections,
+        quotas: quotas,
+        questions: questions,
+        version: 1,
+        versions: [{ version: 1, questions: questions, savedAt: now }],
+        createdAt: now
+      };
+      
+      if (document.getElementById('survey-encrypt').checked) {
+        const passphrase = document.getElementById('survey-passphrase').value;
+        if (passphrase.length < 8) {
+          alert('The passphrase must be at least 8 characters long');
+          return;
+        }
+        if (passphrase !== document.getElementById('survey-passphrase-confirm').value) {
+          alert('The passphrases do not match');
+          return;
+        }
+        if (questions.some(isMediaQuestion)) {
+          alert('Photo, audio and signature questions cannot be used in encrypted surveys');
+          return;
+        }
+        if (quotas && quotas.questionIds.length > 0) {
+          alert('Quotas on answers cannot be used in encrypted surveys; set only a target number of responses');
+          return;
+        }
+        survey.encryption = await createSurveyEncryption(passphrase);
+      }
+      
+      await surveyDB.saveSurvey(survey);
+    }
+    alert('Survey saved successfully!');
+    
+    resetSurveyEditor();
+    
+    showPage('surveys');
+  } catch (error) {
+    console.error('Error saving survey:', error);
+    alert('Error saving survey');
+  }
+}
+
+// Survey Loading
+document.getElementById('load-survey').addEventListener('click', loadSurveyFromFile);
+document.getElementById('cancel-load').addEventListener('click', () => showPage('surveys'));
+
+function loadSurveyFromFile() {
+  const fileInput = document.getElementById('survey-file');
+  const file = fileInput.files[0];
+  
+  if (!file) {
+    alert('Please select a survey file');
+    return;
+  }
+  
+  hideLoadErrors();
+  
+  if (/\.(xlsx|csv)$/i.test(file.name)) {
+    importQuestionnaireFile(file);
+    return;
+  }
+  
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      let fileData;
+      try {
+        fileData = JSON.parse(e.target.result);
+      } catch (error) {
+        showLoadErrors([{ path: '', message: `is not valid JSON: ${error.message}` }]);
+        return;
+      }
+      
+      // Older configs are upgraded before they are checked against the schema
+      const surveyData = migrateSurveyConfig(fileData);
+      const errors = validateSurveyConfig(surveyData);
+      if (errors.length > 0) {
+        showLoadErrors(errors);
+        return;
+      }
+      
+      // The local database assigns its own survey ID
+      delete surveyData.id;
+      
+      // Add timestamp for when it was loaded
+      surveyData.loadedAt = new Date().toISOString();
+      
+      if (!surveyDB) {
+        console.error('Database not initialized');
+        alert('Database not ready. Please refresh the page.');
+        return;
+      }
+      
+      await surveyDB.saveSurvey(surveyData);
+      alert('Survey loaded successfully!');
+      fileInput.value = '';
+      showPage('surveys');
+    } catch (error) {
+      console.error('Error loading survey:', error);
+      alert('Error loading survey file');
+    }
+  };
+  
+  reader.readAsText(file);
+}
+
+function showLoadErrors(errors) {
+  const count = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+  document.getElementById('load-errors-title').textContent = `This survey file was not loaded because it has ${count}:`;
+  document.getElementById('load-errors-list').innerHTML = errors.map(error => `
+    <li>${error.path ? `<span class="font-mono">${escapeHtml(error.path)}</span>` : 'The file'} ${escapeHtml(error.message)}</li>
+  `).join('');
+  document.getElementById('load-errors').classList.remove('hidden');
+}
+
+function hideLoadErrors() {
+  document.getElementById('load-errors').classList.add('hidden');
+}
+
+// Questionnaire Import
+// Converts XLSForm workbooks and simple CSV questionnaires into surveys. Every
+// row gets a report entry so anything that could not be imported as written is
+// shown in the preview before the survey is saved.
+let pendingQuestionnaire = null;
+
+document.getElementById('save-questionnaire').addEventListener('click', saveQuestionnaireImport);
+document.getElementById('cancel-questionnaire').addEventListener('click', cancelQuestionnaireImport);
+
+// XLSForm types that have no equivalent question type here
+const XLSFORM_METADATA_TYPES = ['start', 'end', 'today', 'deviceid', 'subscriberid', 'simserial', 'phonenumber', 'username', 'email', 'audit', 'start-geopoint'];
+const XLSFORM_GROUP_TYPES = {
+  'begin group': 'begin group', 'begin_group': 'begin group', 'end group': 'end group', 'end_group': 'end group',
+  'begin repeat': 'begin repeat', 'begin_repeat': 'begin repeat', 'end repeat': 'end repeat', 'end_repeat': 'end repeat'
+};
+const XLSFORM_DATE_MODES = { date: 'date', time: 'time', datetime: 'datetime', dateTime: 'datetime' };
+
+// RFC 4180 CSV, as written by spreadsheet programs
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  text = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Turns a sheet's rows into objects keyed by the lowercased header, with the
+// sheet row number for the report. Language suffixes ("label::English") keep their case.
+function readSheetRecords(rows) {
+  const headers = (rows[0] || []).map(header => String(header).trim().replace(/^[^:]*/, name => name.toLowerCase()));
+  return rows.slice(1)
+    .map((row, index) => {
+      const record = { rowNumber: index + 2 };
+      headers.forEach((header, column) => {
+        if (header) record[header] = String(row[column] || '').trim();
+      });
+      return record;
+    })
+    .filter(record => headers.some(header => header && record[header]));
+}
+
+function isTruthyCell(value) {
+  return ['yes', 'true', 'true()', '1', 'y', 'required'].includes(String(value || '').trim().toLowerCase());
+}
+
+// "label::English (en)" -> "English"
+function getXlsFormLanguage(column) {
+  return column.slice(column.indexOf('::') + 2).replace(/\s*\([^)]*\)\s*$/, '').trim();
+}
+
+function getXlsFormLanguages(records, settings) {
+  const columns = new Set(records.flatMap(record => Object.keys(record)));
+  const languages = [...columns].filter(column => column.startsWith('label::')).map(getXlsFormLanguage);
+  const defaultLanguage = settings.default_language ? getXlsFormLanguage(`label::${settings.default_language}`) : null;
+  
+  const ordered = [...new Set(languages)];
+  if (defaultLanguage && ordered.includes(defaultLanguage)) {
+    return [defaultLanguage, ...ordered.filter(language => language !== defaultLanguage)];
+  }
+  return ordered;
+}
+
+// A record's label in each language; the plain label column is the default language
+function getXlsFormLabels(record, languages) {
+  const labels = {};
+  Object.keys(record).forEach(column => {
+    if (column.startsWith('label::') && record[column]) {
+      labels[getXlsFormLanguage(column)] = record[column];
+    }
+  });
+  if (record.label) {
+    labels[languages[0] || ''] = record.label;
+  }
+  return labels;
+}
+
+// Converts simple XLSForm relevance expressions such as
+// `${q1} = 'yes' and selected(${q2}, 'b')` into display conditions.
+// Returns null when the expression uses anything else.
+function convertXlsFormRelevance(expression, questionsByName, choiceLabels) {
+  const hasAnd = /\sand\s/.test(expression);
+  const hasOr = /\sor\s/.test(expression);
+  if (hasAnd && hasOr) return null;
+  
+  const rules = [];
+  for (const clause of expression.split(/\s+(?:and|or)\s+/)) {
+    let match = clause.trim().match(/^(not\()?\s*selected\(\s*\$\{([^}]+)\}\s*,\s*['"]([^'"]*)['"]\s*\)\s*(\))?$/);
+    if (match) {
+      if (Boolean(match[1]) !== Boolean(match[4])) return null;
+      const question = questionsByName[match[2]];
+      if (!question) return null;
+      const value = choiceLabels[match[2]] ? choiceLabels[match[2]][match[3]] : match[3];
+      rules.push({ questionId: question.id, operator: match[1] ? 'notIncludes' : 'includes', value: value || match[3] });
+      continue;
+    }
+    
+    match = clause.trim().match(/^\$\{([^}]+)\}\s*(!=|=|>|<)\s*(?:['"]([^'"]*)['"]|(-?\d+(?:\.\d+)?))$/);
+    if (!match) return null;
+    const question = questionsByName[match[1]];
+    if (!question) return null;
+    const raw = match[3] !== undefined ? match[3] : match[4];
+    const value = choiceLabels[match[1]] && choiceLabels[match[1]][raw] ? choiceLabels[match[1]][raw] : raw;
+    
+    if (raw === '' && match[2] === '=') {
+      rules.push({ questionId: question.id, operator: 'notAnswered', value: '' });
+    } else if (raw === '' && match[2] === '!=') {
+      rules.push({ questionId: question.id, operator: 'answered', value: '' });
+    } else {
+      const operators = { '=': 'equals', '!=': 'notEquals', '>': 'greaterThan', '<': 'lessThan' };
+      rules.push({ questionId: question.id, operator: operators[match[2]], value: value });
+    }
+  }
+  
+  return { match: hasOr ? 'any' : 'all', rules: rules };
+}
+
+// XLSForm refers to answers as ${name}; the names must be of earlier questions
+function convertXlsFormReferences(text, questionsByName) {
+  return text.replace(/\$\{\s*([^}\s]+)\s*\}/g, (match, name) => (questionsByName[name] ? `{{${name}}}` : match));
+}
+
+// A repeat_count of ${name}, where name is an earlier number question, sets the
+// number of repeats; anything else leaves them to the interviewer
+function convertXlsFormRepeatCount(repeatCount, questionsByName, entry) {
+  if (!repeatCount) {
+    return {};
+  }
+  const match = String(repeatCount).trim().match(/^\$\{([^}]+)\}$/);
+  const countQuestion = match && questionsByName[match[1]];
+  if (countQuestion && countQuestion.type === 'number') {
+    return { countQuestionId: countQuestion.id };
+  }
+  entry.status = 'warning';
+  entry.messages.push(`Repeat count "${repeatCount}" could not be converted; interviewers add the repeats`);
+  return {};
+}
+
+// Converts XLSForm calculations that only use what the expression language
+// supports. Returns null when the calculation uses anything else.
+function convertXlsFormCalculation(calculation, questionsByName) {
+  // References to unknown questions stay as ${name}, which does not parse
+  const converted = convertXlsFormReferences(calculation, questionsByName)
+    .replace(/\s+div\s+/g, ' / ')
+    .replace(/\s+mod\s+/g, ' % ');
+  try {
+    parseExpression(converted);
+    return converted;
+  } catch (error) {
+    return null;
+  }
+}
+
+function convertXlsForm(sheets) {
+  const findSheet = name => sheets.find(sheet => sheet.name.trim().toLowerCase() === name);
+  const surveyRecords = readSheetRecords(findSheet('survey').rows);
+  const choiceRecords = findSheet('choices') ? readSheetRecords(findSheet('choices').rows) : [];
+  const settings = findSheet('settings') ? readSheetRecords(findSheet('settings').rows)[0] || {} : {};
+  const languages = getXlsFormLanguages([...surveyRecords, ...choiceRecords], settings);
+  const defaultLanguage = languages[0] || '';
+  
+  const choiceLists = {};
+  choiceRecords.forEach(record => {
+    const listName = record.list_name || record['list name'];
+    if (!listName || !record.name) return;
+    const labels = getXlsFormLabels(record, languages);
+    (choiceLists[listName] = choiceLists[listName] || []).push({ name: record.name, labels: labels });
+  });
+  
+  const questions = [];
+  const report = [];
+  const questionsByName = {};
+  const choiceLabels = {};
+  const sections = [];
+  const groupStack = [];
+  let outsideSection = null;
+  
+  surveyRecords.forEach(record => {
+    const type = (record.type || '').replace(/\s+/g, ' ');
+    const labels = getXlsFormLabels(record, languages);
+    const text = labels[defaultLanguage] || Object.values(labels)[0] || record.name || '';
+    const entry = { rowNumber: record.rowNumber, type: type, text: text, status: 'ok', messages: [] };
+    report.push(entry);
+    
+    const skip = message => {
+      entry.status = 'skipped';
+      entry.messages.push(message);
+    };
+    const [baseType, listName] = type.split(' ');
+    
+    if (!type) {
+      return skip('Row has no type');
+    }
+    if (XLSFORM_METADATA_TYPES.includes(type)) {
+      return skip('Metadata fields are not collected by this app');
+    }
+    
+    // Top-level groups and repeats become sections; nested ones are merged into them
+    const groupType = XLSFORM_GROUP_TYPES[type];
+    if (groupType === 'begin group' || groupType === 'begin repeat') {
+      const isSection = !groupStack.some(group => group.section);
+      const section = isSection ? { id: generateSectionId(), title: text || 'Section' } : null;
+      groupStack.push({ section: section, names: [] });
+      if (section && groupType === 'begin repeat') {
+        entry.messages.push('Imported as a repeated section');
+        section.repeat = convertXlsFormRepeatCount(record.repeat_count, questionsByName, entry);
+        sections.push(section);
+      } else if (section) {
+        sections.push(section);
+        entry.messages.push('Imported as a section');
+      } else if (groupType === 'begin repeat') {
+        skip('Repeats inside groups are not supported; the questions inside are imported once');
+      } else {
+        entry.status = 'warning';
+        entry.messages.push('Nested groups are merged into the enclosing section');
+      }
+      return;
+    }
+    if (groupType) {
+      // Questions in a repeat can't be referred to after it
+      const group = groupStack.pop();
+      if (group && group.section && group.section.repeat) {
+        group.names.forEach(name => delete questionsByName[name]);
+      }
+      return;
+    }
+    if (!text) {
+      return skip('Question has no label');
+    }
+    
+    const question = { id: generateQuestionId(), text: convertXlsFormReferences(text, questionsByName), required: isTruthyCell(record.required) };
+    if (EXPRESSION_NAME_PATTERN.test(record.name || '')) {
+      question.name = record.name;
+    }
+    
+    if (baseType === 'text') {
+      question.type = (record.appearance || '').includes('multiline') ? 'longtext' : 'freeform';
+    } else if (baseType === 'integer' || baseType === 'decimal') {
+      question.type = 'number';
+      question.min = null;
+      question.max = null;
+      question.integer = baseType === 'integer';
+    } else if (XLSFORM_DATE_MODES[baseType]) {
+      question.type = 'date';
+      question.dateMode = XLSFORM_DATE_MODES[baseType];
+    } else if (baseType === 'select_one' || baseType === 'select_multiple') {
+      const choices = choiceLists[listName];
+      if (!choices || choices.length === 0) {
+        return skip(`Choice list "${listName || ''}" was not found on the choices sheet`);
+      }
+      question.type = baseType === 'select_one' && (record.appearance || '').includes('minimal') ? 'dropdown' : 'multiple';
+      question.choices = choices.map(choice => choice.labels[defaultLanguage] || choice.name);
+      if (question.type === 'multiple') {
+        question.allowMultiple = baseType === 'select_multiple';
+      }
+      choiceLabels[record.name] = Object.fromEntries(choices.map((choice, index) => [choice.name, question.choices[index]]));
+    } else if (baseType === 'range') {
+      const parameters = Object.fromEntries((record.parameters || '').split(/\s+/).filter(Boolean).map(pair => pair.split('=')));
+      const start = parameters.start === undefined ? 1 : Number(parameters.start);
+      const end = parameters.end === undefined ? 10 : Number(parameters.end);
+      const step = parameters.step === undefined ? 1 : Number(parameters.step);
+      if (!Number.isInteger(start) || !Number.isInteger(end) || step !== 1 || start >= end || end - start > 10) {
+        return skip('Only whole-number ranges of up to 11 points with a step of 1 can be imported');
+      }
+      question.type = 'scale';
+      question.scaleStyle = 'likert';
+      question.scaleMin = start;
+      question.scaleMax = end;
+      question.minLabel = '';
+      question.maxLabel = '';
+    } else if (baseType === 'geopoint') {
+      question.type = 'location';
+    } else if (baseType === 'image' && (record.appearance || '').includes('signature')) {
+      question.type = 'signature';
+    } else if (baseType === 'image' || baseType === 'file') {
+      question.type = 'photo';
+      question.accept = baseType === 'image' ? 'image' : 'any';
+    } else if (baseType === 'audio') {
+      question.type = 'audio';
+    } else if (baseType === 'calculate') {
+      const calculation = convertXlsFormCalculation(record.calculation || '', questionsByName);
+      if (!calculation) {
+        return skip(`Calculation "${record.calculation || ''}" could not be converted`);
+      }
+      question.type = 'calculated';
+      question.calculation = calculation;
+      question.required = false;
+    } else {
+      return skip(`Question type "${baseType}" is not supported`);
+    }
+    
+    // Translations of the question and its choices
+    const translations = {};
+    languages.slice(1).forEach(language => {
+      const translation = {};
+      if (labels[language]) translation.text = convertXlsFormReferences(labels[language], questionsByName);
+      if (question.choices && choiceLists[listName].some(choice => choice.labels[language])) {
+        translation.choices = choiceLists[listName].map(choice => choice.labels[language] || '');
+      }
+      if (Object.keys(translation).length > 0) translations[language] = translation;
+    });
+    if (Object.keys(translations).length > 0) {
+      question.translations = translations;
+    }
+    
+    if (record.relevant) {
+      const conditions = convertXlsFormRelevance(record.relevant, questionsByName, choiceLabels);
+      if (conditions) {
+        question.conditions = conditions;
+      } else {
+        entry.status = 'warning';
+        entry.messages.push(`Relevance "${record.relevant}" could not be converted; the question is always shown`);
+      }
+    }
+    if (record.constraint) {
+      entry.status = 'warning';
+      entry.messages.push(`Constraint "${record.constraint}" was not imported`);
+    }
+    if ((record.calculation && question.type !== 'calculated') || record.default) {
+      entry.status = 'warning';
+      entry.messages.push('Calculations and default values were not imported');
+    }
+    
+    // In the editor a question belongs to the section heading above it, so
+    // questions after a group need a section of their own
+    const group = groupStack.find(g => g.section);
+    if (group && group.section.repeat && isMediaQuestion(question)) {
+      return skip('Photo, audio and signature questions cannot be used in repeated sections');
+    }
+    if (group) {
+      question.sectionId = group.section.id;
+      if (record.name) group.names.push(record.name);
+    } else if (sections.length > 0) {
+      if (sections[sections.length - 1] !== outsideSection) {
+        outsideSection = { id: generateSectionId(), title: 'Other questions' };
+        sections.push(outsideSection);
+        if (entry.status === 'ok') entry.status = 'warning';
+        entry.messages.push('Placed in a new section "Other questions" because it follows a group');
+      }
+      question.sectionId = outsideSection.id;
+    }
+    
+    questions.push(question);
+    if (record.name) questionsByName[record.name] = question;
+  });
+  
+  return {
+    name: settings.form_title || '',
+    languages: languages.length > 1 ? languages : [],
+    sections: sections.filter(section => questions.some(question => question.sectionId === section.id)),
+    questions: questions,
+    report: report
+  };
+}
+
+// Simple questionnaires have the columns type, text, required and choices, where
+// choices are separated by "|" or ";". An optional section column starts a new
+// section whenever it changes; empty cells continue the section above.
+function convertSimpleQuestionnaire(rows) {
+  const typeAliases = {
+    text: 'freeform', freeform: 'freeform', longtext: 'longtext', number: 'number', integer: 'number', decimal: 'number',
+    date: 'date', scale: 'scale', multiple: 'multiple', select_one: 'multiple', select_multiple: 'multiple', dropdown: 'dropdown',
+    location: 'location', geopoint: 'location', photo: 'photo', image: 'photo', file: 'photo', audio: 'audio', signature: 'signature'
+  };
+  const questions = [];
+  const report = [];
+  const sections = [];
+  
+  readSheetRecords(rows).forEach(record => {
+    const type = (record.type || '').toLowerCase();
+    const text = record.text || record.question || '';
+    const entry = { rowNumber: record.rowNumber, type: type, text: text, status: 'ok', messages: [] };
+    report.push(entry);
+    
+    const skip = message => {
+      entry.status = 'skipped';
+      entry.messages.push(message);
+    };
+    
+    if (!typeAliases[type]) {
+      return skip(type ? `Question type "${type}" is not supported` : 'Row has no type');
+    }
+    if (!text) {
+      return skip('Question has no text');
+    }
+    
+    const question = { id: generateQuestionId(), type: typeAliases[type], text: text, required: isTruthyCell(record.required) };
+    
+    if (question.type === 'multiple' || question.type === 'dropdown') {
+      question.choices = (record.choices || '').split(/[|;\n]/).map(choice => choice.trim()).filter(Boolean);
+      if (question.choices.length === 0) {
+        return skip('Choice questions need at least one choice');
+      }
+      if (question.type === 'multiple') {
+        question.allowMultiple = type === 'select_multiple';
+      }
+    } else if (question.type === 'number') {
+      question.min = null;
+      question.max = null;
+      question.integer = type === 'integer';
+    } else if (question.type === 'date') {
+      question.dateMode = 'date';
+    } else if (question.type === 'scale') {
+      Object.assign(question, { scaleStyle: 'likert', scaleMin: 1, scaleMax: 5, minLabel: '', maxLabel: '' });
+      entry.status = 'warning';
+      entry.messages.push('Imported as a 1-5 scale');
+    } else if (question.type === 'photo') {
+      question.accept = type === 'file' ? 'any' : 'image';
+    }
+    
+    if (record.choices && !question.choices) {
+      entry.status = 'warning';
+      entry.messages.push('Choices are ignored for this question type');
+    }
+    
+    if (record.section && (sections.length === 0 || sections[sections.length - 1].title !== record.section)) {
+      sections.push({ id: generateSectionId(), title: record.section });
+    }
+    if (sections.length > 0) {
+      question.sectionId = sections[sections.length - 1].id;
+    }
+    
+    questions.push(question);
+  });
+  
+  return { name: '', languages: [], sections: sections, questions: questions, report: report };
+}
+
+async function importQuestionnaireFile(file) {
+  try {
+    const sheets = /\.csv$/i.test(file.name)
+      ? [{ name: 'survey', rows: parseCsv(await file.text()) }]
+      : await readXlsx(file);
+    
+    const surveySheet = sheets.find(sheet => sheet.name.trim().toLowerCase() === 'survey') || sheets[0];
+    const headers = ((surveySheet && surveySheet.rows[0]) || []).map(header => String(header).trim().toLowerCase());
+    if (!headers.includes('type')) {
+      alert('The questionnaire needs a "type" column in its first row');
+      return;
+    }
+    
+    const isXlsForm = headers.some(header => header === 'label' || header.startsWith('label::'));
+    const questionnaire = isXlsForm
+      ? convertXlsForm([{ ...surveySheet, name: 'survey' }, ...sheets.filter(sheet => sheet !== surveySheet)])
+      : convertSimpleQuestionnaire(surveySheet.rows);
+    questionnaire.name = questionnaire.name || file.name.replace(/\.[^.]+$/, '');
+    
+    pendingQuestionnaire = questionnaire;
+    renderQuestionnairePreview();
+  } catch (error) {
+    console.error('Error reading questionnaire:', error);
+    alert('Error reading questionnaire file');
+  }
+}
+
+function renderQuestionnairePreview() {
+  const { questions, report, name } = pendingQuestionnaire;
+  const flagged = report.filter(entry => entry.status !== 'ok').length;
+  const rowClasses = { ok: '', warning: 'bg-yellow-50', skipped: 'bg-red-50' };
+  const statusLabels = {
+    ok: '<span class="text-green-700">Imported</span>',
+    warning: '<span class="text-yellow-700">Imported with changes</span>',
+    skipped: '<span class="text-red-700">Not imported</span>'
+  };
+  
+  document.getElementById('questionnaire-name').value = name;
+  document.getElementById('questionnaire-summary').textContent =
+    `${questions.length} questions will be imported` +
+    (flagged > 0 ? `; ${flagged} rows are flagged below.` : '.');
+  document.getElementById('questionnaire-rows').innerHTML = report.map(entry => `
+    <tr class="${rowClasses[entry.status]}">
+      <td class="px-3 py-2 text-gray-500">${entry.rowNumber}</td>
+      <td class="px-3 py-2 font-mono">${escapeHtml(entry.type)}</td>
+      <td class="px-3 py-2">${escapeHtml(entry.text)}</td>
+      <td class="px-3 py-2">
+        ${statusLabels[entry.status]}
+        ${entry.messages.map(message => `<p class="text-xs text-gray-600">${escapeHtml(message)}</p>`).join('')}
+      </td>
+    </tr>
+  `).join('');
+  document.getElementById('save-questionnaire').disabled = questions.length === 0;
+  document.getElementById('questionnaire-preview').classList.remove('hidden');
+}
+
+async function saveQuestionnaireImport() {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  const name = document.getElementById('questionnaire-name').value.trim();
+  if (!name) {
+    alert('Please enter a survey name');
+    return;
+  }
+  
+  try {
+    const now = new Date().toISOString();
+    const { questions, languages, sections } = pendingQuestionnaire;
+    await surveyDB.saveSurvey({
+      name: name,
+      languages: languages,
+      sections: sections,
+      questions: questions,
+      version: 1,
+      versions: [{ version: 1, questions: questions, savedAt: now }],
+      createdAt: now,
+      loadedAt: now
+    });
+    alert('Survey loaded successfully!');
+    cancelQuestionnaireImport();
+    showPage('surveys');
+  } catch (error) {
+    console.error('Error saving imported survey:', error);
+    alert('Error saving survey');
+  }
+}
+
+function cancelQuestionnaireImport() {
+  pendingQuestionnaire = null;
+  document.getElementById('survey-file').value = '';
+  document.getElementById('questionnaire-preview').classList.add('hidden');
+}
+
+// Session response counter update function
+function updateSessionResponseCounter() {
+  const counterElement = document.getElementById('session-response-counter');
+  if (counterElement) {
+    counterElement.textContent = `Responses recorded this session: ${sessionResponseCount}`;
+  }
+}
+
+// Survey Conduction
+document.getElementById('add-response-card').addEventListener('click', () => addResponseCard());
+document.getElementById('finish-conducting').addEventListener('click', async () => {
+  const openCards = responseCards.filter(card => !card.completed).length;
+  const message = currentSurvey && currentSurvey.encryption
+    ? `${openCards} unfinished response cards will be lost, because drafts are not kept for encrypted surveys. Finish conducting this survey?`
+    : `${openCards} unfinished response cards will be kept as drafts. Finish conducting this survey?`;
+  if (openCards > 0 && !confirm(message)) {
+    return;
+  }
+  await flushDraftSaves();
+  showPage('surveys');
+});
+document.getElementById('resume-drafts').addEventListener('click', resumeDrafts);
+document.getElementById('conduct-enumerator').addEventListener('change', async (e) => {
+  try {
+    await surveyDB.setEnumerator(e.target.value.trim());
+  } catch (error) {
+    console.error('Error saving enumerator:', error);
+    alert('Error saving enumerator');
+  }
+});
+document.getElementById('discard-drafts').addEventListener('click', discardDrafts);
+
+// Save typing in progress when the tab is hidden, since it may be evicted
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    flushDraftSaves();
+  }
+});
+
+function addResponseCard(draft = null) {
+  if (!currentSurvey) {
+    alert('No survey selected');
+    return;
+  }
+  
+  const template = document.getElementById('response-card-template');
+  const clone = template.content.cloneNode(true);
+  
+  // Cards keep their ID across sessions because it is also the key of their draft
+  const cardId = draft ? draft.id : Math.max(Date.now(), ...responseCards.map(card => card.id + 1));
+  const responseCard = clone.querySelector('.response-card');
+  responseCard.dataset.cardId = cardId;
+  
+  // Set up remove button
+  clone.querySelector('.remove-card').addEventListener('click', () => {
+    responseCard.remove();
+    responseCards = responseCards.filter(card => card.id !== cardId);
+    discardCardDraft(cardId);
+  });
+  
+  // Set up mark complete button
+  clone.querySelector('.mark-complete').addEventListener('click', () => {
+    markCardComplete(cardId);
+  });
+  
+  const card = {
+    id: cardId,
+    element: responseCard,
+    completed: false,
+    createdAt: draft ? draft.createdAt : new Date().toISOString(),
+    language: draft ? draft.language || null : getSurveyLanguages(currentSurvey)[0] || null,
+    answerTimes: draft ? draft.answerTimes || {} : {}
+  };
+  
+  // Set up the language picker for multilingual surveys
+  const languages = getSurveyLanguages(currentSurvey);
+  const languageSelect = clone.querySelector('.card-language');
+  if (languages.length > 1) {
+    languageSelect.innerHTML = languages.map(language => `<option>${escapeHtml(language)}</option>`).join('');
+    languageSelect.value = card.language;
+    languageSelect.classList.remove('hidden');
+    languageSelect.addEventListener('change', () => {
+      card.language = languageSelect.value;
+      renderCardQuestions(card, collectResponses(responseCard));
+      scheduleDraftSave(cardId);
+    });
+  }
+  
+  // Create response inputs for each question
+  const responsesContainer = clone.querySelector('.responses-container');
+  renderCardQuestions(card, draft ? draft.data : {});
+  
+  // Show and hide conditional questions as answers change, and autosave the card
+  responsesContainer.addEventListener('input', (e) => {
+    recordAnswerTime(card.answerTimes, e.target);
+    applyDisplayConditions(responseCard, currentSurvey.questions);
+    scheduleDraftSave(cardId);
+  });
+  responsesContainer.addEventListener('change', (e) => {
+    recordAnswerTime(card.answerTimes, e.target);
+    applyDisplayConditions(responseCard, currentSurvey.questions);
+    scheduleDraftSave(cardId);
+  });
+  
+  document.getElementById('response-cards-container').appendChild(clone);
+  document.getElementById('no-cards').classList.add('hidden');
+  
+  responseCards.push(card);
+}
+
+// (Re)builds a card's questions in its language, keeping the given answers
+function renderCardQuestions(card, answers) {
+  const responsesContainer = card.element.querySelector('.responses-container');
+  responsesContainer.innerHTML = '';
+  currentSurvey.questions.forEach(question => {
+    const sectionQuestions = getSectionGroup(responsesContainer, currentSurvey, question.sectionId);
+    const repeatSection = getRepeatSection(currentSurvey, question);
+    if (repeatSection) {
+      getRepeatGroup(sectionQuestions, repeatSection, currentSurvey.questions, `card_${card.id}`, card.language);
+    } else {
+      sectionQuestions.appendChild(createQuestionBlock(question, `${question.id}_card_${card.id}`, card.language));
+    }
+  });
+  
+  fillResponseInputs(card.element, answers);
+  applyDisplayConditions(card.element, currentSurvey.questions);
+}
+
+// Drafts
+const DRAFT_SAVE_DELAY = 500;
+
+let pendingDrafts = [];
+const draftSaveTimers = new Map();
+
+function renderDraftsBanner() {
+  const banner = document.getElementById('drafts-banner');
+  document.getElementById('drafts-banner-text').textContent =
+    `${pendingDrafts.length} unfinished response cards were saved in an earlier session.`;
+  banner.classList.toggle('hidden', pendingDrafts.length === 0);
+}
+
+function resumeDrafts() {
+  pendingDrafts
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(draft => addResponseCard(draft));
+  pendingDrafts = [];
+  renderDraftsBanner();
+}
+
+async function discardDrafts() {
+  if (!confirm(`Discard ${pendingDrafts.length} unfinished response cards? Their answers will be lost.`)) {
+    return;
+  }
+  
+  try {
+    await Promise.all(pendingDrafts.map(draft => surveyDB.deleteDraft(draft.id)));
+    pendingDrafts = [];
+    renderDraftsBanner();
+  } catch (error) {
+    console.error('Error discarding drafts:', error);
+    alert('Error discarding drafts');
+  }
+}
+
+// Waits for a pause in typing before writing the card to IndexedDB
+function scheduleDraftSave(cardId) {
+  clearTimeout(draftSaveTimers.get(cardId));
+  draftSaveTimers.set(cardId, setTimeout(() => saveCardDraft(cardId), DRAFT_SAVE_DELAY));
+}
+
+async function saveCardDraft(cardId) {
+  clearTimeout(draftSaveTimers.get(cardId));
+  draftSaveTimers.delete(cardId);
+  
+  const card = responseCards.find(c => c.id === cardId);
+  // Drafts are stored in plain text, so encrypted surveys don't keep them
+  if (!card || card.completed || !surveyDB || currentSurvey.encryption) return;
+  
+  const data = collectResponses(card.element);
+  try {
+    // A card whose answers were all cleared again is not worth resuming
+    if (!Object.values(data).some(isAnswered)) {
+      await surveyDB.deleteDraft(cardId);
+      return;
+    }
+    
+    await surveyDB.saveDraft({
+      id: cardId,
+      surveyId: currentSurveyId,
+      surveyVersion: getSurveyVersion(currentSurvey),
+      language: card.language,
+      data: data,
+      answerTimes: card.answerTimes,
+      createdAt: card.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error saving draft:', error);
+  }
+}
+
+function flushDraftSaves() {
+  return Promise.all([...draftSaveTimers.keys()].map(saveCardDraft));
+}
+
+async function discardCardDraft(cardId) {
+  clearTimeout(draftSaveTimers.get(cardId));
+  draftSaveTimers.delete(cardId);
+  
+  try {
+    await surveyDB.deleteDraft(cardId);
+  } catch (error) {
+    console.error('Error deleting draft:', error);
+  }
+}
+
+async function markCardComplete(cardId) {
+  const card = responseCards.find(c => c.id === cardId);
+  // A second tap while the response is being saved would save it twice
+  if (!card || card.completed || card.saving) return;
+  
+  // Collect and validate responses, dropping answers to questions hidden by display conditions
+  const responseData = readResponseForm(card.element, currentSurvey, currentSurvey.questions);
+  
+  // If there are validation errors, don't complete the card
+  if (!responseData) {
+    return;
+  }
+  
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    alert('Database not ready. Please refresh the page.');
+    return;
+  }
+  
+  if (!surveyDB.isReady()) {
+    console.error('Database not ready');
+    alert('Database not ready. Please refresh the page.');
+    return;
+  }
+  
+  card.saving = true;
+  try {
+    const fullQuotaMessage = await getFullQuotaMessage(currentSurvey, responseData);
+    if (fullQuotaMessage && currentSurvey.quotas.action === 'block') {
+      alert(`${fullQuotaMessage}. This response can't be saved.`);
+      return;
+    }
+    if (fullQuotaMessage && !confirm(`${fullQuotaMessage}. Save this response anyway?`)) {
+      return;
+    }
+    
+    await surveyDB.saveResponse(currentSurveyId, responseData, getSurveyVersion(currentSurvey), {
+      encryption: currentSurvey.encryption,
+      language: card.language,
+      meta: buildResponseMeta(card.createdAt, card.answerTimes, responseData, getRepeatSections(currentSurvey))
+    });
+    card.completed = true;
+    requestSync();
+    await renderQuotaProgress();
+    await discardCardDraft(cardId);
+    card.element.remove();
+    
+    // Increment session response counter
+    sessionResponseCount++;
+    updateSessionResponseCounter();
+    
+    if (responseCards.every(c => c.completed)) {
+      document.getElementById('no-cards').classList.remove('hidden');
+    }
+    
+    // Show success message briefly
+    const successDiv = document.createElement('div');
+    successDiv.className = 'fixed top-4 right-4 bg-green-500 text-white px-4 py-2 rounded shadow-lg z-50';
+    successDiv.textContent = 'Response saved successfully!';
+    document.body.appendChild(successDiv);
+    setTimeout(() => successDiv.remove(), 3000);
+  } catch (error) {
+    console.error('Error saving response:', error);
+    alert('Error saving response');
+  } finally {
+    card.saving = false;
+  }
+}
+
+const DATE_INPUT_TYPES = {
+  date: 'date',
+  time: 'time',
+  datetime: 'datetime-local'
+};
+
+// A question's label and input, as shown in cards and forms
+function createQuestionBlock(question, inputName, language = null) {
+  const questionDiv = document.createElement('div');
+  questionDiv.className = 'mb-4';
+  questionDiv.dataset.questionBlock = question.id;
+  questionDiv.innerHTML = buildQuestionInputHtml(question, inputName, language);
+  return questionDiv;
+}
+
+const INPUT_CLASSES = 'response-input w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+// Label and input markup for one question; inputName groups radio buttons and checkboxes
+// Option values are always the original choices; only the visible labels are translated
+function buildQuestionInputHtml(question, inputName, language = null) {
+  const requiredIndicator = question.required ? ' <span class="text-red-500">*</span>' : '';
+  const questionText = getQuestionText(question, language);
+  const label = `<label class="block text-sm font-medium text-gray-700 mb-2"><span${getPipedTextAttribute(questionText)}>${escapeHtml(questionText)}</span>${requiredIndicator}</label>`;
+  const minLabel = getScaleLabel(question, 'minLabel', language);
+  const maxLabel = getScaleLabel(question, 'maxLabel', language);
+  
+  switch (question.type) {
+    case 'freeform':
+      return `${label}
+        <input type="text" class="${INPUT_CLASSES}" 
+               data-question="${escapeHtml(question.id)}">
+      `;
+    case 'longtext':
+      return `${label}
+        <textarea rows="4" class="${INPUT_CLASSES}" 
+                  data-question="${escapeHtml(question.id)}"></textarea>
+      `;
+    case 'number':
+      return `${label}
+        <input type="number" class="${INPUT_CLASSES}" 
+               ${question.min !== null && question.min !== undefined ? `min="${question.min}"` : ''}
+               ${question.max !== null && question.max !== undefined ? `max="${question.max}"` : ''}
+               step="${question.integer ? '1' : 'any'}"
+               inputmode="${question.integer ? 'numeric' : 'decimal'}"
+               data-question="${escapeHtml(question.id)}">
+      `;
+    case 'date':
+      return `${label}
+        <input type="${DATE_INPUT_TYPES[question.dateMode] || 'date'}" class="${INPUT_CLASSES}" 
+               data-question="${escapeHtml(question.id)}">
+      `;
+    case 'scale': {
+      const points = [];
+      for (let value = question.scaleMin; value <= question.scaleMax; value++) {
+        points.push(value);
+      }
+      return `${label}
+        <div class="flex flex-wrap items-end gap-4">
+          ${minLabel ? `<span class="text-xs text-gray-500 pb-1">${escapeHtml(minLabel)}</span>` : ''}
+          ${points.map(value => `
+            <label class="flex flex-col items-center">
+              <span class="text-sm text-gray-700 mb-1">${question.scaleStyle === 'rating' ? `${value}★` : value}</span>
+              <input type="radio" 
+                     name="${inputName}" 
+                     value="${value}" 
+                     class="response-input" 
+                     data-question="${escapeHtml(question.id)}" 
+                     data-scalar="true">
+            </label>
+          `).join('')}
+          ${maxLabel ? `<span class="text-xs text-gray-500 pb-1">${escapeHtml(maxLabel)}</span>` : ''}
+        </div>
+      `;
+    }
+    case 'dropdown':
+      return `${label}
+        <select class="${INPUT_CLASSES}" data-question="${escapeHtml(question.id)}">
+          <option value="">Select an option</option>
+          ${question.choices.map((choice, index) => `<option value="${escapeHtml(choice)}"${getPipedTextAttribute(getChoiceLabel(question, index, language))}>${escapeHtml(getChoiceLabel(question, index, language))}</option>`).join('')}
+        </select>
+      `;
+    case 'multiple':
+      return `${label}
+        <div class="space-y-2">
+          ${question.choices.map((choice, index) => `
+            <label class="flex items-center">
+              <input type="${question.allowMultiple ? 'checkbox' : 'radio'}" 
+                     name="${inputName}" 
+                     value="${escapeHtml(choice)}" 
+                     class="response-input mr-2" 
+                     data-question="${escapeHtml(question.id)}">
+              <span class="text-sm text-gray-700"${getPipedTextAttribute(getChoiceLabel(question, index, language))}>${escapeHtml(getChoiceLabel(question, index, language))}</span>
+            </label>
+          `).join('')}
+        </div>
+      `;
+    case 'calculated':
+      return `${label}
+        <input type="hidden" class="response-input" data-question="${escapeHtml(question.id)}" data-calculated="true">
+        <div class="calculated-value px-3 py-2 bg-gray-50 border border-gray-200 rounded-md text-gray-900"></div>
+      `;
+    case 'location':
+      return `${label}
+        <div class="capture-widget flex flex-wrap items-center gap-3" data-capture="location">
+          <input type="hidden" class="response-input" data-question="${escapeHtml(question.id)}" data-capture="location">
+          <button type="button" class="capture-locate bg-gray-600 hover:bg-gray-700 text-white px-3 py-2 rounded text-sm">Record Location</button>
+          <span class="capture-status text-sm text-gray-600"></span>
+          <button type="button" class="capture-clear hidden text-red-600 hover:text-red-800 text-sm">Remove</button>
+        </div>
+      `;
+    case 'photo':
+      return `${label}
+        <div class="capture-widget space-y-2" data-capture="media">
+          <input type="hidden" class="response-input" data-question="${escapeHtml(question.id)}" data-capture="media">
+          <input type="file" class="capture-file block w-full text-sm text-gray-700" ${question.accept === 'any' ? '' : 'accept="image/*"'}>
+          <div class="capture-preview"></div>
+          <button type="button" class="capture-clear hidden text-red-600 hover:text-red-800 text-sm">Remove</button>
+        </div>
+      `;
+    case 'audio':
+      return `${label}
+        <div class="capture-widget space-y-2" data-capture="media">
+          <input type="hidden" class="response-input" data-question="${escapeHtml(question.id)}" data-capture="media">
+          <div class="flex items-center gap-3">
+            <button type="button" class="capture-record bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded text-sm">Record</button>
+            <span class="capture-status text-sm text-gray-600"></span>
+          </div>
+          <div class="capture-preview"></div>
+          <button type="button" class="capture-clear hidden text-red-600 hover:text-red-800 text-sm">Remove</button>
+        </div>
+      `;
+    case 'signature':
+      return `${label}
+        <div class="capture-widget space-y-2" data-capture="media">
+          <input type="hidden" class="response-input" data-question="${escapeHtml(question.id)}" data-capture="media">
+          <canvas class="signature-pad w-full h-40 border border-gray-300 rounded-md bg-white touch-none" width="600" height="200"></canvas>
+          <button type="button" class="capture-clear hidden text-red-600 hover:text-red-800 text-sm">Clear</button>
+        </div>
+      `;
+    default:
+      return '';
+  }
+}
+
+// Sets inputs built by buildQuestionInputHtml to previously stored answers,
+// adding a block of questions to repeat groups for each stored repeat
+function fillResponseInputs(element, responseData) {
+  element.querySelectorAll('[data-repeat-group]').forEach(group => {
+    const { section, questions } = repeatGroups.get(group);
+    group.querySelector('.repeat-instances').innerHTML = '';
+    getRepeatAnswers(responseData, section, questions).forEach(answers => addRepeatInstance(group, answers));
+  });
+  
+  queryOwn(element, '.response-input').forEach(input => {
+    const answer = responseData[input.dataset.question];
+    if (!isAnswered(answer)) {
+      return;
+    }
+    if (input.dataset.capture) {
+      showCaptureAnswer(input.closest('.capture-widget'), answer);
+    } else if (input.dataset.calculated) {
+      input.value = JSON.stringify(answer);
+    } else if (input.type === 'checkbox' || input.type === 'radio') {
+      input.checked = [].concat(answer).map(String).includes(input.value);
+    } else {
+      input.value = answer;
+    }
+  });
+}
+
+// Answers in repeat groups are saved under the section's ID, one object of answers per repeat
+function collectResponses(element) {
+  const responseData = {};
+  element.querySelectorAll('[data-repeat-group]').forEach(group => {
+    responseData[group.dataset.repeatGroup] = getRepeatInstances(group).map(collectResponses);
+  });
+  queryOwn(element, '.response-input').forEach(input => {
+    const questionId = input.dataset.question;
+    if (input.dataset.capture === 'location') {
+      responseData[questionId] = input.value ? JSON.parse(input.value) : '';
+    } else if (input.dataset.capture === 'media') {
+      responseData[questionId] = capturedMedia.get(input) || '';
+    } else if (input.dataset.calculated) {
+      responseData[questionId] = input.value ? JSON.parse(input.value) : '';
+    } else if (input.dataset.scalar) {
+      if (input.checked) {
+        responseData[questionId] = Number(input.value);
+      }
+    } else if (input.type === 'number') {
+      // Unparseable input reads as an empty value, so keep it as NaN for validation to catch
+      if (input.validity && input.validity.badInput) {
+        responseData[questionId] = NaN;
+      } else {
+        responseData[questionId] = input.value === '' ? '' : Number(input.value);
+      }
+    } else if (input.type === 'checkbox' || input.type === 'radio') {
+      if (input.checked) {
+        if (!responseData[questionId]) {
+          responseData[questionId] = [];
+        }
+        responseData[questionId].push(input.value);
+      }
+    } else {
+      responseData[questionId] = input.value;
+    }
+  });
+  return responseData;
+}
+
+function isAnswered(answer) {
+  if (Array.isArray(answer)) {
+    return answer.length > 0;
+  }
+  return answer !== undefined && answer !== null && String(answer).trim() !== '';
+}
+
+// Choices are compared whole; only free-text answers are searched for the value
+function evaluateCondition(rule, answers, questions) {
+  const answer = answers[rule.questionId];
+  const values = Array.isArray(answer) ? answer : (isAnswered(answer) ? [String(answer).trim()] : []);
+  const referenced = questions.find(question => question.id === rule.questionId);
+  const hasChoices = referenced && (referenced.type === 'multiple' || referenced.type === 'dropdown');
+  const includesValue = hasChoices ? values.includes(rule.value) : values.some(value => value.includes(rule.value));
+  
+  switch (rule.operator) {
+    case 'equals':
+      return values.length === 1 && values[0] === rule.value;
+    case 'notEquals':
+      return !(values.length === 1 && values[0] === rule.value);
+    case 'includes':
+      return includesValue;
+    case 'notIncludes':
+      return !includesValue;
+    case 'greaterThan':
+      return values.length === 1 && Number(values[0]) > Number(rule.value);
+    case 'lessThan':
+      return values.length === 1 && Number(values[0]) < Number(rule.value);
+    case 'answered':
+      return values.length > 0;
+    case 'notAnswered':
+      return values.length === 0;
+    default:
+      return true;
+  }
+}
+
+// Walks the questions in order; a hidden question counts as unanswered for later
+// conditions and calculations. Returns the answers to the visible questions, with
+// calculated questions worked out from the answers before them. The questions of
+// repeated sections are walked once per repeat, after the questions outside them,
+// and their visible answers are returned under the section's ID.
+function getVisibleAnswers(questions, answers, repeatSections = []) {
+  const repeatedIds = new Set(repeatSections.map(section => section.id));
+  const visibleAnswers = walkVisibleAnswers(questions.filter(question => !repeatedIds.has(question.sectionId)), questions, answers, {});
+  
+  repeatSections.forEach(section => {
+    const sectionQuestions = questions.filter(question => question.sectionId === section.id);
+    if (sectionQuestions.length > 0) {
+      visibleAnswers[section.id] = getRepeatAnswers(answers, section, questions)
+        .map(repeatAnswers => walkVisibleAnswers(sectionQuestions, questions, repeatAnswers, visibleAnswers));
+    }
+  });
+  
+  return visibleAnswers;
+}
+
+// `allQuestions` are what {{references}} are looked up in; `outerAnswers` are the
+// visible answers that conditions and calculations in a repeat can also use
+function walkVisibleAnswers(questions, allQuestions, answers, outerAnswers) {
+  const knownAnswers = { ...outerAnswers };
+  const visibleAnswers = {};
+  
+  questions.forEach(question => {
+    const conditions = question.conditions;
+    const results = conditions ? conditions.rules.map(rule => evaluateCondition(rule, knownAnswers, allQuestions)) : [];
+    const shown = !conditions || (conditions.match === 'any' ? results.some(Boolean) : results.every(Boolean));
+    
+    if (shown) {
+      visibleAnswers[question.id] = question.type === 'calculated'
+        ? calculateAnswer(question, allQuestions, knownAnswers)
+        : answers[question.id];
+      knownAnswers[question.id] = visibleAnswers[question.id];
+    }
+  });
+  
+  return visibleAnswers;
+}
+
+function getVisibleQuestionIds(questions, answers) {
+  return new Set(Object.keys(getVisibleAnswers(questions, answers)));
+}
+
+function applyDisplayConditions(element, questions) {
+  const repeatSections = getElementRepeatSections(element);
+  updateRepeatCounts(element, getVisibleAnswers(questions, collectResponses(element), repeatSections));
+  updateCalculatedAnswers(element, questions);
+  
+  const visibleAnswers = getVisibleAnswers(questions, collectResponses(element), repeatSections);
+  const showVisibleBlocks = (container, answers) => {
+    queryOwn(container, '[data-question-block]').forEach(questionDiv => {
+      questionDiv.classList.toggle('hidden', !(questionDiv.dataset.questionBlock in answers));
+    });
+  };
+  showVisibleBlocks(element, visibleAnswers);
+  element.querySelectorAll('[data-repeat-group]').forEach(group => {
+    const repeats = visibleAnswers[group.dataset.repeatGroup] || [];
+    getRepeatInstances(group).forEach((instance, index) => showVisibleBlocks(instance, repeats[index] || {}));
+  });
+  
+  // Sections whose questions are all hidden are hidden too, unless repeats can be added to them
+  element.querySelectorAll('[data-section-group]').forEach(group => {
+    group.classList.toggle('hidden', !group.querySelector('[data-question-block]:not(.hidden), [data-repeat-group]'));
+  });
+}
+
+// Returns an error message for an invalid answer, or null when it is acceptable
+function getAnswerError(question, answer) {
+  if (question.type === 'calculated') {
+    return null;
+  }
+  if (!isAnswered(answer)) {
+    return question.required ? 'This question is required' : null;
+  }
+  
+  switch (question.type) {
+    case 'number':
+      if (typeof answer !== 'number' || isNaN(answer)) {
+        return 'Please enter a valid number';
+      }
+      if (question.integer && !Number.isInteger(answer)) {
+        return 'Please enter a whole number';
+      }
+      if (question.min !== null && question.min !== undefined && answer < question.min) {
+        return `Please enter a number of at least ${question.min}`;
+      }
+      if (question.max !== null && question.max !== undefined && answer > question.max) {
+        return `Please enter a number of at most ${question.max}`;
+      }
+      break;
+    case 'date': {
+      const patterns = {
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        time: /^\d{2}:\d{2}(:\d{2})?$/,
+        datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/
+      };
+      if (!patterns[question.dateMode || 'date'].test(answer)) {
+        return 'Please enter a valid date or time';
+      }
+      break;
+    }
+    case 'scale':
+      if (!(answer >= question.scaleMin && answer <= question.scaleMax)) {
+        return 'Please choose a point on the scale';
+      }
+      break;
+    case 'dropdown':
+      if (!question.choices.includes(answer)) {
+        return 'Please choose one of the options';
+      }
+      break;
+  }
+  
+  // Answers of the right shape still have to pass the question's own rules
+  return getValidationRuleError(question, answer);
+}
+
+function getValidationRuleError(question, answer) {
+  for (const rule of question.validation || []) {
+    let valid = true;
+    let defaultMessage = '';
+    
+    switch (rule.rule) {
+      case 'pattern':
+        valid = new RegExp(`^(?:${rule.value})$`).test(String(answer));
+        defaultMessage = 'Please enter an answer in the expected format';
+        break;
+      case 'minLength':
+        valid = String(answer).length >= rule.value;
+        defaultMessage = `Please enter at least ${rule.value} characters`;
+        break;
+      case 'maxLength':
+        valid = String(answer).length <= rule.value;
+        defaultMessage = `Please enter at most ${rule.value} characters`;
+        break;
+      case 'min':
+        valid = Number(answer) >= rule.value;
+        defaultMessage = `Please enter a number of at least ${rule.value}`;
+        break;
+      case 'max':
+        valid = Number(answer) <= rule.value;
+        defaultMessage = `Please enter a number of at most ${rule.value}`;
+        break;
+      case 'minSelections':
+        valid = [].concat(answer).length >= rule.value;
+        defaultMessage = `Please select at least ${rule.value} options`;
+        break;
+      case 'maxSelections':
+        valid = [].concat(answer).length <= rule.value;
+        defaultMessage = `Please select at most ${rule.value} options`;
+        break;
+    }
+    
+    if (!valid) {
+      return rule.message || defaultMessage;
+    }
+  }
+  
+  return null;
+}
+
+function clearValidationErrors(element) {
+  element.querySelectorAll('.border-red-500').forEach(el => {
+    el.classList.remove('border-red-500');
+    el.classList.add('border-gray-300');
+  });
+  // Only remove error messages, not buttons
+  element.querySelectorAll('.text-red-600.text-sm').forEach(el => {
+    el.remove();
+  });
+}
+
+function showValidationError(element, questionId, message) {
+  // Highlight the question input
+  const questionInputs = element.querySelectorAll(`[data-question="${questionId}"]`);
+  questionInputs.forEach(input => {
+    input.classList.remove('border-gray-300');
+    input.classList.add('border-red-500');
+  });
+  
+  // Add error message
+  const questionDiv = element.querySelector(`[data-question-block="${questionId}"]`);
+  const sectionGroup = questionDiv && questionDiv.closest('[data-section-group]');
+  if (sectionGroup) {
+    sectionGroup.open = true;
+  }
+  if (questionDiv && !questionDiv.querySelector('.text-red-600')) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'text-red-600 text-sm mt-1';
+    errorDiv.textContent = message;
+    questionDiv.appendChild(errorDiv);
+  }
+}
+
+// Marks invalid answers among the visible questions and returns the IDs of those questions
+function validateResponses(element, questions, responseData, visibleIds) {
+  clearValidationErrors(element);
+  
+  const invalidIds = [];
+  questions.forEach(question => {
+    if (!visibleIds.has(question.id)) {
+      return;
+    }
+    const error = getAnswerError(question, responseData[question.id]);
+    if (error) {
+      invalidIds.push(question.id);
+      showValidationError(element, question.id, error);
+    }
+  });
+  
+  return invalidIds;
+}
+
+// Calculated Answers and Piping
+// Calculated questions are worked out from earlier answers with the expression
+// language in scripts/expressions.js and saved with the response like any other
+// answer. Question and choice text can show earlier answers with {{name}}.
+const parsedExpressions = new Map();
+
+// Parsed calculations are cached because they are worked out on every keystroke
+function getParsedExpression(calculation) {
+  if (!parsedExpressions.has(calculation)) {
+    try {
+      parsedExpressions.set(calculation, parseExpression(calculation));
+    } catch (error) {
+      console.error(`Invalid calculation "${calculation}":`, error.message);
+      parsedExpressions.set(calculation, null);
+    }
+  }
+  return parsedExpressions.get(calculation);
+}
+
+// Answers as expression values. Selected choices become text; locations and
+// media have no value.
+function getExpressionValue(answer) {
+  if (!isAnswered(answer)) {
+    return null;
+  }
+  if (Array.isArray(answer)) {
+    return answer.join(', ');
+  }
+  return typeof answer === 'object' ? null : answer;
+}
+
+// The calculated question's answer given the answers so far, or '' when it has none
+function calculateAnswer(question, questions, answers) {
+  const tree = getParsedExpression(question.calculation);
+  if (!tree) {
+    return '';
+  }
+  const value = evaluateExpression(tree, reference => {
+    const referenced = findReferencedQuestion(questions, reference);
+    return referenced ? getExpressionValue(answers[referenced.id]) : null;
+  });
+  return value === null ? '' : value;
+}
+
+// Throws when the question's variable name is taken or its {{references}} are
+// not to earlier questions
+function checkQuestionReferences(question, earlierQuestions) {
+  if (question.name && earlierQuestions.some(earlier => earlier.name === question.name)) {
+    throw new Error(`The variable name "${question.name}" is already used by an earlier question`);
+  }
+  
+  const texts = [question.text, ...(question.choices || [])];
+  Object.values(question.translations || {}).forEach(translation => {
+    texts.push(translation.text || '', ...(translation.choices || []));
+  });
+  const references = texts.flatMap(getPipedReferences);
+  if (question.type === 'calculated') {
+    references.push(...getExpressionReferences(parseExpression(question.calculation)));
+  }
+  
+  references.forEach(reference => {
+    if (!findReferencedQuestion(earlierQuestions, reference)) {
+      throw new Error(`{{${reference}}} must be the variable name or number (such as Q2) of an earlier question`);
+    }
+  });
+}
+
+// Text with {{references}} keeps its template so updateCalculatedAnswers can fill it in
+function getPipedTextAttribute(text) {
+  return getPipedReferences(text).length > 0 ? ` data-piped-text="${escapeHtml(text)}"` : '';
+}
+
+function fillPipedText(text, questions, answers) {
+  return String(text).replace(EXPRESSION_REFERENCE_PATTERN, (match, reference) => {
+    const referenced = findReferencedQuestion(questions, reference);
+    const answer = referenced ? formatAnswer(referenced, answers[referenced.id], ', ') : '';
+    return answer || '…';
+  });
+}
+
+// Shows the calculated answers in a card or form and fills earlier answers into question
+// and choice text. In a repeat, the answers of that repeat are used.
+function updateCalculatedAnswers(element, questions) {
+  const answers = getVisibleAnswers(questions, collectResponses(element), getElementRepeatSections(element));
+  const showAnswers = (container, containerAnswers) => {
+    queryOwn(container, '.response-input[data-calculated]').forEach(input => {
+      const answer = containerAnswers[input.dataset.question];
+      input.value = isAnswered(answer) ? JSON.stringify(answer) : '';
+      input.parentElement.querySelector('.calculated-value').textContent = isAnswered(answer) ? String(answer) : '—';
+    });
+    queryOwn(container, '[data-piped-text]').forEach(piped => {
+      piped.textContent = fillPipedText(piped.dataset.pipedText, questions, containerAnswers);
+    });
+  };
+  
+  showAnswers(element, answers);
+  element.querySelectorAll('[data-repeat-group]').forEach(group => {
+    const repeats = answers[group.dataset.repeatGroup] || [];
+    getRepeatInstances(group).forEach((instance, index) => showAnswers(instance, { ...answers, ...repeats[index] }));
+  });
+}
+
+// Repeated Sections
+// A section with `repeat` is asked once per household member, visit or the like.
+// `repeat` is {} when the interviewer adds and removes repeats, or
+// { countQuestionId } when the answer to an earlier number question sets how many
+// there are. Answers are saved under the section's ID as one object of answers per repeat.
+const MAX_REPEATS = 50;
+
+// Repeat groups in cards and forms -> { section, questions, inputName, language }
+const repeatGroups = new WeakMap();
+let repeatInstanceCounter = 0;
+
+function getRepeatSections(survey) {
+  return (survey.sections || []).filter(section => section.repeat);
+}
+
+// The repeated section a question belongs to, or null
+function getRepeatSection(survey, question) {
+  const section = getSection(survey, question.sectionId);
+  return section && section.repeat ? section : null;
+}
+
+// A response's answers for each repeat of the section. Answers saved before the
+// section was repeated count as its first repeat.
+function getRepeatAnswers(answers, section, questions) {
+  if (Array.isArray(answers[section.id])) {
+    return answers[section.id];
+  }
+  const earlierAnswers = {};
+  questions.forEach(question => {
+    if (question.sectionId === section.id && question.id in answers) {
+      earlierAnswers[question.id] = answers[question.id];
+    }
+  });
+  return Object.keys(earlierAnswers).length > 0 ? [earlierAnswers] : [];
+}
+
+// Every answer to a question in the responses: one per response, or one per
+// repeat for questions in repeated sections
+function getQuestionAnswers(survey, question, responses) {
+  const section = getRepeatSection(survey, question);
+  if (!section) {
+    return responses.map(response => response.data[question.id]);
+  }
+  const questions = getExportColumns(survey);
+  return responses.flatMap(response => getRepeatAnswers(response.data, section, questions).map(answers => answers[question.id]));
+}
+
+// A response's answer as text, with the answers of each repeat joined
+function formatResponseAnswer(survey, question, response) {
+  return getQuestionAnswers(survey, question, [response])
+    .map(answer => formatAnswer(question, answer))
+    .filter(Boolean)
+    .join(' | ');
+}
+
+// Throws when a question can't be in its section, or refers to questions in a
+// repeated section it is not part of
+function checkRepeatedQuestion(question, earlierQuestions, sections) {
+  const repeatedIds = new Set(sections.filter(section => section.repeat).map(section => section.id));
+  if (repeatedIds.has(question.sectionId) && isMediaQuestion(question)) {
+    throw new Error('Photo, audio and signature questions cannot be used in repeated sections');
+  }
+  
+  getReferencedQuestionIds(question, earlierQuestions).forEach(id => {
+    const referenced = earlierQuestions.find(earlier => earlier.id === id);
+    if (referenced && repeatedIds.has(referenced.sectionId) && referenced.sectionId !== question.sectionId) {
+      throw new Error('Questions outside a repeated section cannot refer to the questions in it');
+    }
+  });
+}
+
+// Sections whose number of repeats comes from copied questions, by their new IDs
+function remapRepeatCounts(sections, idMap) {
+  return (sections || []).map(section => (section.repeat && section.repeat.countQuestionId
+    ? { ...section, repeat: { countQuestionId: idMap.get(section.repeat.countQuestionId) } }
+    : section));
+}
+
+// The number of repeats an answer to a count question asks for
+function getRepeatCount(answer) {
+  return typeof answer === 'number' && answer > 0 ? Math.min(Math.floor(answer), MAX_REPEATS) : 0;
+}
+
+// Matches in the element that are not inside one of its repeats
+function queryOwn(element, selector) {
+  const instance = element.closest('.repeat-instance');
+  return Array.from(element.querySelectorAll(selector)).filter(match => match.closest('.repeat-instance') === instance);
+}
+
+function getElementRepeatSections(element) {
+  return Array.from(element.querySelectorAll('[data-repeat-group]'), group => repeatGroups.get(group).section);
+}
+
+// Where the repeats of a section go in a card or form, created on first use.
+// fillResponseInputs adds a block of the section's questions for each repeat.
+function getRepeatGroup(container, section, questions, inputName, language = null) {
+  let group = container.querySelector(`[data-repeat-group="${section.id}"]`);
+  if (group) {
+    return group;
+  }
+  
+  const countQuestion = questions.find(question => question.id === section.repeat.countQuestionId);
+  group = document.createElement('div');
+  group.className = 'repeat-group';
+  group.dataset.repeatGroup = section.id;
+  group.innerHTML = `
+    <div class="repeat-instances space-y-4"></div>
+    <p class="repeat-empty text-sm text-gray-500">
+      ${countQuestion ? `Answer "${escapeHtml(getQuestionText(countQuestion, language))}" to add these questions.` : 'Nothing has been added yet.'}
+    </p>
+    ${section.repeat.countQuestionId ? '' : `
+      <button type="button" class="repeat-add mt-3 bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-2 rounded text-sm">Add ${escapeHtml(section.title)}</button>
+    `}
+  `;
+  repeatGroups.set(group, {
+    section: section,
+    questions: questions.filter(question => question.sectionId === section.id),
+    inputName: inputName,
+    language: language
+  });
+  
+  const addButton = group.querySelector('.repeat-add');
+  if (addButton) {
+    // Cards and forms update and save as if an answer changed
+    addButton.addEventListener('click', () => {
+      addRepeatInstance(group);
+      group.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+  
+  container.appendChild(group);
+  return group;
+}
+
+// The repeats in a group, leaving out those hidden because the count question's answer went down
+function getRepeatInstances(group) {
+  return Array.from(group.querySelectorAll('.repeat-instance:not(.hidden)'));
+}
+
+function addRepeatInstance(group, answers = {}) {
+  const { section, questions, inputName, language } = repeatGroups.get(group);
+  const instance = document.createElement('div');
+  instance.className = 'repeat-instance border border-gray-200 rounded-lg p-4';
+  instance.innerHTML = `
+    <div class="flex justify-between items-center mb-3">
+      <h4 class="repeat-title font-medium text-gray-900"></h4>
+      ${section.repeat.countQuestionId ? '' : '<button type="button" class="repeat-remove text-red-600 hover:text-red-800">Remove</button>'}
+    </div>
+  `;
+  
+  // Radio buttons need a name of their own in every repeat
+  repeatInstanceCounter++;
+  questions.forEach(question => {
+    instance.appendChild(createQuestionBlock(question, `${question.id}_${inputName}_repeat_${repeatInstanceCounter}`, language));
+  });
+  
+  const removeButton = instance.querySelector('.repeat-remove');
+  if (removeButton) {
+    removeButton.addEventListener('click', () => {
+      const title = instance.querySelector('.repeat-title').textContent;
+      if (Object.values(collectResponses(instance)).some(isAnswered) && !confirm(`Remove ${title} and its answers?`)) {
+        return;
+      }
+      instance.remove();
+      updateRepeatGroup(group);
+      group.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+  
+  group.querySelector('.repeat-instances').appendChild(instance);
+  fillResponseInputs(instance, answers);
+  updateRepeatGroup(group);
+  return instance;
+}
+
+// Numbers the repeats and shows what can be done next
+function updateRepeatGroup(group) {
+  const { section } = repeatGroups.get(group);
+  const instances = getRepeatInstances(group);
+  instances.forEach((instance, index) => {
+    instance.querySelector('.repeat-title').textContent = `${section.title} ${index + 1}`;
+  });
+  group.querySelector('.repeat-empty').classList.toggle('hidden', instances.length > 0);
+  
+  const addButton = group.querySelector('.repeat-add');
+  if (addButton) {
+    addButton.disabled = instances.length >= MAX_REPEATS;
+    addButton.classList.toggle('opacity-50', addButton.disabled);
+  }
+}
+
+// Shows as many repeats as the count questions' answers ask for. Repeats beyond
+// that are hidden rather than removed, so correcting a count keeps their answers.
+function updateRepeatCounts(element, answers) {
+  element.querySelectorAll('[data-repeat-group]').forEach(group => {
+    const { section } = repeatGroups.get(group);
+    if (!section.repeat.countQuestionId) {
+      return;
+    }
+    
+    const count = getRepeatCount(answers[section.repeat.countQuestionId]);
+    const instances = Array.from(group.querySelectorAll('.repeat-instance'));
+    instances.forEach((instance, index) => instance.classList.toggle('hidden', index >= count));
+    for (let index = instances.length; index < count; index++) {
+      addRepeatInstance(group);
+    }
+    updateRepeatGroup(group);
+  });
+}
+
+// Collects the answers of a card or form and drops those to questions hidden by
+// display conditions, in each repeat too. Marks invalid answers and returns null
+// when there are any.
+function readResponseForm(element, survey, questions) {
+  const repeatSections = getRepeatSections(survey);
+  const collected = collectResponses(element);
+  const visibleAnswers = getVisibleAnswers(questions, collected, repeatSections);
+  const keepVisible = (answers, visible) => Object.fromEntries(Object.entries(answers).filter(([questionId]) => questionId in visible));
+  
+  const responseData = keepVisible(collected, visibleAnswers);
+  let valid = validateResponses(element, questions, responseData, new Set(Object.keys(visibleAnswers))).length === 0;
+  
+  repeatSections.forEach(section => {
+    const group = element.querySelector(`[data-repeat-group="${section.id}"]`);
+    if (!group || !(section.id in visibleAnswers)) {
+      return;
+    }
+    const instances = getRepeatInstances(group);
+    responseData[section.id] = visibleAnswers[section.id].map((visible, index) => {
+      const repeatData = keepVisible(collected[section.id][index], visible);
+      // validateResponses clears the errors of the element it is given, so each repeat is checked on its own
+      if (validateResponses(instances[index], questions, repeatData, new Set(Object.keys(visible))).length > 0) {
+        valid = false;
+      }
+      return repeatData;
+    });
+  });
+  
+  return valid ? responseData : null;
+}
+
+// Interview Metadata
+// Each response records when its card was opened and completed, and when each
+// answer was first and last changed, so supervisors can spot rushed interviews.
+const RESPONSE_META_COLUMNS = [
+  { header: 'Opened At', key: 'openedAt' },
+  { header: 'Completed At', key: 'completedAt' },
+  { header: 'Duration (s)', key: 'duration' },
+  { header: 'App Version', key: 'appVersion' }
+];
+
+// Notes the first and last time the answer to the target's question changed
+function recordAnswerTime(answerTimes, target) {
+  const questionBlock = target.closest('[data-question-block]');
+  if (!questionBlock) return;
+  
+  const questionId = questionBlock.dataset.questionBlock;
+  const now = new Date().toISOString();
+  answerTimes[questionId] = {
+    firstEditedAt: answerTimes[questionId] ? answerTimes[questionId].firstEditedAt : now,
+    lastEditedAt: now
+  };
+}
+
+// The `meta` saved with a response; timings of questions that were hidden again are dropped.
+// Questions in repeated sections have one timing for all their repeats.
+function buildResponseMeta(openedAt, answerTimes, responseData, repeatSections = []) {
+  const completedAt = new Date();
+  const meta = {
+    openedAt: openedAt,
+    completedAt: completedAt.toISOString(),
+    duration: Math.round((completedAt - new Date(openedAt)) / 1000),
+    answerTimes: {},
+    appVersion: APP_VERSION
+  };
+  const questionIds = Object.keys(responseData);
+  repeatSections.forEach(section => {
+    (responseData[section.id] || []).forEach(repeat => questionIds.push(...Object.keys(repeat)));
+  });
+  questionIds.forEach(questionId => {
+    if (answerTimes[questionId]) {
+      meta.answerTimes[questionId] = answerTimes[questionId];
+    }
+  });
+  return meta;
+}
+
+// Responses recorded before metadata was collected have blank cells
+function getResponseMetaCells(response) {
+  return RESPONSE_META_COLUMNS.map(column => (response.meta ? response.meta[column.key] ?? '' : ''));
+}
+
+function getAnswerTimeCells(response, questionId) {
+  const times = response.meta && response.meta.answerTimes[questionId];
+  return times ? [times.firstEditedAt, times.lastEditedAt] : ['', ''];
+}
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${seconds}s`;
+}
+
+function getMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// One row per enumerator. Interviews that took less than half the median
+// duration of all interviews are counted as quick.
+function renderEnumeratorSummary(responses) {
+  if (responses.length === 0) {
+    return '<p class="text-sm text-gray-500">No responses yet.</p>';
+  }
+  
+  const allDurations = responses.filter(response => response.meta).map(response => response.meta.duration);
+  const quickLimit = allDurations.length > 0 ? getMedian(allDurations) / 2 : 0;
+  
+  const groups = new Map();
+  responses.forEach(response => {
+    const name = response.enumerator || '(not set)';
+    if (!groups.has(name)) {
+      groups.set(name, []);
+    }
+    groups.get(name).push(response);
+  });
+  
+  const rows = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, group]) => {
+      const durations = group.filter(response => response.meta).map(response => response.meta.duration);
+      const quick = durations.filter(duration => duration < quickLimit).length;
+      const last = group.reduce((latest, response) => (response.timestamp > latest ? response.timestamp : latest), '');
+      return `
+        <tr>
+          <td class="px-3 py-2">${escapeHtml(name)}</td>
+          <td class="px-3 py-2 text-right">${group.length}</td>
+          <td class="px-3 py-2 text-right">${durations.length > 0 ? formatDuration(Math.round(getMedian(durations))) : '–'}</td>
+          <td class="px-3 py-2 text-right">${durations.length > 0 ? formatDuration(Math.min(...durations)) : '–'}</td>
+          <td class="px-3 py-2 text-right ${quick > 0 ? 'text-red-600 font-medium' : ''}">${durations.length > 0 ? quick : '–'}</td>
+          <td class="px-3 py-2">${new Date(last).toLocaleString()}</td>
+        </tr>
+      `;
+    });
+  
+  return `
+    <div class="overflow-x-auto">
+      <table class="min-w-full text-sm text-gray-700">
+        <thead>
+          <tr class="text-left text-xs text-gray-500 uppercase">
+            <th class="px-3 py-2">Enumerator</th>
+            <th class="px-3 py-2 text-right">Responses</th>
+            <th class="px-3 py-2 text-right">Median Duration</th>
+            <th class="px-3 py-2 text-right">Shortest</th>
+            <th class="px-3 py-2 text-right">Quick</th>
+            <th class="px-3 py-2">Last Response</th>
+          </tr>
+        </thead>
+        <tbody class="divide-y divide-gray-200">${rows.join('')}</tbody>
+      </table>
+    </div>
+    <p class="text-xs text-gray-500 mt-2">Quick interviews took less than half the median duration of all interviews${quickLimit > 0 ? ` (${formatDuration(Math.round(quickLimit))})` : ''}. Durations are only known for responses recorded with interview metadata.</p>
+  `;
+}
+
+// Location, Media and Signature Answers
+// Location answers are stored in the response like any other answer. Photo,
+// audio and signature answers are Blobs while the response is open; saving it
+// moves them to the media store and leaves the file name in the answer.
+const MEDIA_FOLDER = 'media';
+const AUDIO_MAX_DURATION = 5 * 60 * 1000;
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'application/pdf': 'pdf'
+};
+const LOCATION_FIELDS = [
+  { key: 'latitude', label: 'Latitude', suffix: 'lat' },
+  { key: 'longitude', label: 'Longitude', suffix: 'lon' },
+  { key: 'accuracy', label: 'Accuracy (m)', suffix: 'acc' },
+  { key: 'altitude', label: 'Altitude (m)', suffix: 'alt' }
+];
+
+// Hidden response inputs of media questions -> their { blob, name, type, size } answer
+const capturedMedia = new WeakMap();
+let activeRecording = null;
+
+document.addEventListener('click', (event) => {
+  const widget = event.target.closest && event.target.closest('.capture-widget');
+  if (!widget) return;
+  
+  if (event.target.closest('.capture-locate')) {
+    recordLocation(widget);
+  } else if (event.target.closest('.capture-record')) {
+    toggleAudioRecording(widget);
+  } else if (event.target.closest('.capture-clear')) {
+    setCaptureAnswer(widget, '');
+  }
+});
+
+document.addEventListener('change', (event) => {
+  if (!event.target.classList || !event.target.classList.contains('capture-file')) return;
+  
+  const file = event.target.files[0];
+  if (file) {
+    setCaptureAnswer(event.target.closest('.capture-widget'), { blob: file, name: file.name, type: file.type, size: file.size });
+  }
+  event.target.value = '';
+});
+
+document.addEventListener('pointerdown', (event) => {
+  const canvas = event.target.closest && event.target.closest('.signature-pad');
+  if (canvas && !canvas.closest('.capture-widget').dataset.readonly) {
+    drawSignatureStroke(canvas, event);
+  }
+});
+
+function isMediaQuestion(question) {
+  return MEDIA_QUESTION_TYPES.includes(question.type);
+}
+
+// File extension for a media answer, from its file name or its type
+function getMediaExtension(answer) {
+  const match = /\.([a-z0-9]{1,5})$/i.exec(answer.name || answer.file || '');
+  if (match) {
+    return match[1].toLowerCase();
+  }
+  return MEDIA_EXTENSIONS[(answer.type || '').split(';')[0]] || 'bin';
+}
+
+function formatLocation(answer) {
+  const coordinates = `${answer.latitude.toFixed(6)}, ${answer.longitude.toFixed(6)}`;
+  return typeof answer.accuracy === 'number' ? `${coordinates} (±${Math.round(answer.accuracy)} m)` : coordinates;
+}
+
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Stores an answer in a capture widget and shows it, without notifying listeners
+function showCaptureAnswer(widget, answer) {
+  const input = widget.querySelector('.response-input');
+  const status = widget.querySelector('.capture-status');
+  const preview = widget.querySelector('.capture-preview');
+  const canvas = widget.querySelector('.signature-pad');
+  const answered = isAnswered(answer);
+  
+  if (widget.dataset.capture === 'location') {
+    input.value = answered ? JSON.stringify(answer) : '';
+    status.textContent = answered ? formatLocation(answer) : '';
+  } else if (answered) {
+    capturedMedia.set(input, answer);
+  } else {
+    capturedMedia.delete(input);
+  }
+  widget.querySelector('.capture-clear').classList.toggle('hidden', !answered || !!widget.dataset.readonly);
+  
+  if (widget.dataset.previewUrl) {
+    URL.revokeObjectURL(widget.dataset.previewUrl);
+    delete widget.dataset.previewUrl;
+  }
+  const url = answered && answer.blob ? URL.createObjectURL(answer.blob) : null;
+  if (url) {
+    widget.dataset.previewUrl = url;
+  }
+  
+  if (canvas) {
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    if (url) {
+      const image = new Image();
+      image.onload = () => context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      image.src = url;
+    }
+  } else if (preview) {
+    if (!answered) {
+      preview.innerHTML = '';
+    } else if (url && answer.type.startsWith('image/')) {
+      preview.innerHTML = `<img src="${url}" alt="" class="max-h-48 rounded border border-gray-300">`;
+    } else if (url && answer.type.startsWith('audio/')) {
+      preview.innerHTML = `<audio controls src="${url}" class="w-full"></audio>`;
+    } else {
+      const name = answer.name || answer.file;
+      preview.innerHTML = `<span class="text-sm text-gray-700">${escapeHtml(name || 'File attached')}${answer.size ? ` (${formatFileSize(answer.size)})` : ''}</span>`;
+    }
+  }
+}
+
+// Stores an answer in a capture widget and lets the card react as if it was typed
+function setCaptureAnswer(widget, answer) {
+  showCaptureAnswer(widget, answer);
+  widget.querySelector('.response-input').dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function recordLocation(widget) {
+  const status = widget.querySelector('.capture-status');
+  if (!navigator.geolocation) {
+    status.textContent = 'Location is not available on this device';
+    return;
+  }
+  
+  status.textContent = 'Locating…';
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      const { latitude, longitude, accuracy, altitude } = position.coords;
+      const answer = { latitude: latitude, longitude: longitude, accuracy: accuracy };
+      if (altitude !== null) {
+        answer.altitude = altitude;
+      }
+      answer.capturedAt = new Date(position.timestamp).toISOString();
+      setCaptureAnswer(widget, answer);
+    },
+    (error) => {
+      console.error('Error getting location:', error);
+      status.textContent = error.code === error.PERMISSION_DENIED
+        ? 'Location permission was denied'
+        : 'Could not get the location. Please try again.';
+    },
+    { enableHighAccuracy: true, timeout: 30000, maximumAge: 0 }
+  );
+}
+
+// Starts recording in the widget, or stops the recording that is running.
+// Only one recording runs at a time.
+async function toggleAudioRecording(widget) {
+  if (activeRecording) {
+    const recording = activeRecording;
+    recording.recorder.stop();
+    if (recording.widget === widget) return;
+  }
+  
+  const status = widget.querySelector('.capture-status');
+  const button = widget.querySelector('.capture-record');
+  if (!navigator.mediaDevices || typeof MediaRecorder === 'undefined') {
+    status.textContent = 'Audio recording is not supported in this browser';
+    return;
+  }
+  
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const recording = { widget: widget, recorder: recorder, timer: setTimeout(() => recorder.stop(), AUDIO_MAX_DURATION) };
+    
+    recorder.ondataavailable = (event) => chunks.push(event.data);
+    recorder.onstop = () => {
+      clearTimeout(recording.timer);
+      stream.getTracks().forEach(track => track.stop());
+      if (activeRecording === recording) {
+        activeRecording = null;
+      }
+      button.textContent = 'Record';
+      status.textContent = '';
+      
+      const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+      setCaptureAnswer(widget, { blob: blob, type: blob.type, size: blob.size });
+    };
+    
+    activeRecording = recording;
+    recorder.start();
+    button.textContent = 'Stop';
+    status.textContent = 'Recording…';
+  } catch (error) {
+    console.error('Error starting audio recording:', error);
+    status.textContent = 'Could not use the microphone';
+  }
+}
+
+// Draws one stroke while the pointer is down, then saves the pad as a PNG
+function drawSignatureStroke(canvas, event) {
+  event.preventDefault();
+  const context = canvas.getContext('2d');
+  const rect = canvas.getBoundingClientRect();
+  const toCanvas = e => [
+    (e.clientX - rect.left) * (canvas.width / rect.width),
+    (e.clientY - rect.top) * (canvas.height / rect.height)
+  ];
+  
+  context.strokeStyle = '#111827';
+  context.lineWidth = 3;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+  context.beginPath();
+  context.moveTo(...toCanvas(event));
+  canvas.setPointerCapture(event.pointerId);
+  
+  const onMove = (e) => {
+    context.lineTo(...toCanvas(e));
+    context.stroke();
+  };
+  const onUp = () => {
+    canvas.removeEventListener('pointermove', onMove);
+    canvas.removeEventListener('pointerup', onUp);
+    canvas.removeEventListener('pointercancel', onUp);
+    
+    // A white background under the strokes, since PNGs are transparent by default
+    context.globalCompositeOperation = 'destination-over';
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.globalCompositeOperation = 'source-over';
+    
+    canvas.toBlob((blob) => {
+      if (!blob) return;
+      // Keep the answer on the canvas as drawn, so only the stored value changes
+      const widget = canvas.closest('.capture-widget');
+      const input = widget.querySelector('.response-input');
+      capturedMedia.set(input, { blob: blob, type: 'image/png', size: blob.size });
+      widget.querySelector('.capture-clear').classList.remove('hidden');
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    }, 'image/png');
+  };
+  canvas.addEventListener('pointermove', onMove);
+  canvas.addEventListener('pointerup', onUp);
+  canvas.addEventListener('pointercancel', onUp);
+}
+
+// Shows the stored media of a saved response in its capture widgets, read-only
+async function showStoredMedia(element, response) {
+  element.querySelectorAll('.capture-widget[data-capture="media"]').forEach(widget => {
+    widget.dataset.readonly = 'true';
+    widget.querySelectorAll('button, .capture-file').forEach(control => control.classList.add('hidden'));
+  });
+  
+  const records = await surveyDB.getResponseMedia(response.uuid);
+  records.forEach(record => {
+    const input = element.querySelector(`.response-input[data-capture="media"][data-question="${record.questionId}"]`);
+    const answer = response.data[record.questionId];
+    if (!input || !isAnswered(answer)) return;
+    
+    // The stored answer is kept as it is, so an unchanged media answer is not an edit
+    const widget = input.closest('.capture-widget');
+    showCaptureAnswer(widget, { ...answer, blob: record.blob });
+    capturedMedia.set(input, answer);
+  });
+}
+
+// Media files of the given responses, named as their answers refer to them
+async function getMediaExportFiles(survey, responses) {
+  const uuids = new Set(responses.map(response => response.uuid));
+  const records = await surveyDB.getSurveyMedia(survey.id);
+  return records
+    .filter(record => uuids.has(record.responseUuid))
+    .map(record => ({ name: `${MEDIA_FOLDER}/${record.file}`, data: record.blob }));
+}
+
+// Results
+document.getElementById('results-back').addEventListener('click', () => showPage('surveys'));
+
+async function showResults(surveyId) {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  try {
+    const survey = await surveyDB.getSurvey(surveyId);
+    if (!survey) {
+      alert('Survey not found');
+      return;
+    }
+    
+    if (!(await unlockSurvey(survey))) {
+      return;
+    }
+    
+    const responses = await decryptResponses(survey, await surveyDB.getResponses(surveyId));
+    const countsByDay = await surveyDB.getResponseCountsByDay(surveyId);
+    
+    document.getElementById('results-title').textContent = `Results: ${survey.name}`;
+    document.getElementById('results-summary').textContent = `${responses.length} responses`;
+    document.getElementById('results-by-day').innerHTML = renderResponsesByDay(countsByDay);
+    document.getElementById('results-enumerators').innerHTML = renderEnumeratorSummary(responses);
+    document.getElementById('results-questions').innerHTML = responses.length === 0
+      ? '<p class="text-center text-gray-500 py-8">No responses have been recorded for this survey yet.</p>'
+      : getExportColumns(survey).map((question, index) => renderQuestionSummary(survey, question, index, responses)).join('');
+    
+    showPage('results');
+  } catch (error) {
+    console.error('Error loading results:', error);
+    alert('Error loading results');
+  }
+}
+
+function toLocalDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// A labelled horizontal bar; percent sets the bar width
+function renderBar(label, detail, percent) {
+  return `
+    <div>
+      <div class="flex justify-between text-sm text-gray-700 mb-1">
+        <span>${escapeHtml(label)}</span>
+        <span class="text-gray-500">${detail}</span>
+      </div>
+      <div class="w-full bg-gray-200 rounded h-3">
+        <div class="bg-teal-500 h-3 rounded" style="width: ${percent}%"></div>
+      </div>
+    </div>
+  `;
+}
+
+function renderResponsesByDay(countsByDay) {
+  const days = Object.keys(countsByDay).sort();
+  if (days.length === 0) {
+    return '<p class="text-sm text-gray-500">No responses yet.</p>';
+  }
+  
+  const maxCount = Math.max(...days.map(day => countsByDay[day]));
+  return days.map(day => {
+    const label = new Date(`${day}T00:00:00`).toLocaleDateString();
+    return renderBar(label, countsByDay[day], (countsByDay[day] / maxCount) * 100);
+  }).join('');
+}
+
+// Questions in repeated sections are summarized over all repeats
+function renderQuestionSummary(survey, question, index, responses) {
+  const allAnswers = getQuestionAnswers(survey, question, responses);
+  const answers = allAnswers.filter(isAnswered);
+  const answeredText = getRepeatSection(survey, question)
+    ? `${answers.length} of ${allAnswers.length} repeats answered`
+    : `${answers.length} of ${responses.length} responses answered`;
+  
+  let body;
+  if (answers.length === 0) {
+    body = '<p class="text-sm text-gray-500">No answers yet.</p>';
+  } else if (question.type === 'multiple' || question.type === 'dropdown' || question.type === 'scale') {
+    body = renderChoiceTallies(question, answers);
+  } else if (question.type === 'number' || (question.type === 'calculated' && answers.every(answer => typeof answer === 'number'))) {
+    body = renderNumberStats(answers);
+  } else if (question.type === 'date') {
+    const sorted = answers.map(String).sort();
+    body = `<p class="text-sm text-gray-700">Earliest: ${escapeHtml(sorted[0])} • Latest: ${escapeHtml(sorted[sorted.length - 1])}</p>`;
+  } else {
+    body = `
+      <ul class="max-h-64 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded">
+        ${answers.map(answer => `<li class="px-3 py-2 text-sm text-gray-700 whitespace-pre-wrap">${escapeHtml(formatAnswer(question, answer))}</li>`).join('')}
+      </ul>
+    `;
+  }
+  
+  return `
+    <div class="bg-white shadow rounded-lg p-6">
+      <h3 class="text-lg font-medium text-gray-900">Q${index + 1}: ${escapeHtml(question.text)}</h3>
+      <p class="text-sm text-gray-500 mb-4">${answeredText}</p>
+      <div class="space-y-3">${body}</div>
+    </div>
+  `;
+}
+
+// Percentages are of the responses that answered, so multi-select totals can exceed 100%
+function renderChoiceTallies(question, answers) {
+  const tallies = new Map();
+  if (question.choices) {
+    question.choices.forEach(choice => tallies.set(choice, 0));
+  } else if (question.type === 'scale') {
+    for (let value = question.scaleMin; value <= question.scaleMax; value++) {
+      tallies.set(String(value), 0);
+    }
+  }
+  
+  answers.forEach(answer => {
+    [].concat(answer).forEach(value => {
+      const key = String(value);
+      tallies.set(key, (tallies.get(key) || 0) + 1);
+    });
+  });
+  
+  const bars = Array.from(tallies.entries()).map(([choice, count]) => {
+    const percent = (count / answers.length) * 100;
+    return renderBar(choice, `${count} (${percent.toFixed(1)}%)`, percent);
+  }).join('');
+  
+  return question.type === 'scale' ? renderNumberStats(answers) + bars : bars;
+}
+
+function renderNumberStats(answers) {
+  const values = answers.map(Number).filter(value => !isNaN(value)).sort((a, b) => a - b);
+  if (values.length === 0) {
+    return '';
+  }
+  
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const middle = Math.floor(values.length / 2);
+  const median = values.length % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle];
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  
+  const stats = [
+    ['Mean', mean],
+    ['Median', median],
+    ['Min', values[0]],
+    ['Max', values[values.length - 1]],
+    ['Std. dev.', Math.sqrt(variance)]
+  ];
+  
+  return `
+    <div class="grid grid-cols-2 sm:grid-cols-5 gap-4">
+      ${stats.map(([label, value]) => `
+        <div class="bg-gray-50 rounded p-3 text-center">
+          <div class="text-xs text-gray-500">${label}</div>
+          <div class="text-lg font-medium text-gray-900">${formatNumber(value)}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Response Browser
+const RESPONSES_PER_PAGE = 20;
+
+let browserSurvey = null;
+let browserResponses = [];
+let browserPage = 0;
+let selectedResponse = null;
+
+document.getElementById('responses-back').addEventListener('click', () => showPage('surveys'));
+document.getElementById('responses-apply-filters').addEventListener('click', applyResponseFilters);
+document.getElementById('responses-clear-filters').addEventListener('click', () => {
+  ['responses-search', 'responses-from', 'responses-to', 'responses-filter-value'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  document.getElementById('responses-filter-question').value = '';
+  applyResponseFilters();
+});
+document.getElementById('responses-prev').addEventListener('click', () => {
+  browserPage--;
+  renderResponseTable();
+});
+document.getElementById('responses-next').addEventListener('click', () => {
+  browserPage++;
+  renderResponseTable();
+});
+document.getElementById('response-detail-close').addEventListener('click', closeResponseDetail);
+document.getElementById('response-detail-save').addEventListener('click', saveResponseEdits);
+document.getElementById('response-detail-delete').addEventListener('click', deleteSelectedResponse);
+
+async function browseResponses(surveyId) {
+  if (!surveyDB) {
+    console.error('Database not initialized');
     return;
   }
   
-  const questions = [];
+  try {
+    const survey = await surveyDB.getSurvey(surveyId);
+    if (!survey) {
+      alert('Survey not found');
+      return;
+    }
+    
+    if (!(await unlockSurvey(survey))) {
+      return;
+    }
+    
+    browserSurvey = survey;
+    document.getElementById('responses-title').textContent = `Responses: ${survey.name}`;
+    
+    const questionSelect = document.getElementById('responses-filter-question');
+    questionSelect.innerHTML = '<option value="">Any question</option>';
+    getExportColumns(survey).forEach((question, index) => {
+      const option = document.createElement('option');
+      option.value = question.id;
+      option.textContent = `Q${index + 1}: ${question.text}`;
+      questionSelect.appendChild(option);
+    });
+    
+    ['responses-search', 'responses-from', 'responses-to', 'responses-filter-value'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    
+    await applyResponseFilters();
+    showPage('responses');
+  } catch (error) {
+    console.error('Error loading responses:', error);
+    alert('Error loading responses');
+  }
+}
+
+async function applyResponseFilters() {
+  const search = document.getElementById('responses-search').value.trim().toLowerCase();
+  const from = document.getElementById('responses-from').value;
+  const to = document.getElementById('responses-to').value;
+  const filterQuestionId = document.getElementById('responses-filter-question').value;
+  const filterValue = document.getElementById('responses-filter-value').value.trim().toLowerCase();
   
-    questionItems.forEach(item => {
-      const questionType = item.querySelector('.question-type').value;
-      const questionText = item.querySelector('.question-text').value.trim();
-      const isRequired = item.querySelector('.question-required').checked;
-      
-      if (!questionText) {
-        alert('Please enter text for all questions');
-        return;
+  // Date inputs are local days; the timestamp index holds UTC ISO strings
+  const fromTimestamp = from ? new Date(`${from}T00:00:00`).toISOString() : null;
+  const toTimestamp = to ? new Date(`${to}T23:59:59.999`).toISOString() : null;
+  
+  try {
+    const responses = await decryptResponses(browserSurvey, await surveyDB.getResponsesInRange(browserSurvey.id, fromTimestamp, toTimestamp));
+    const columns = getExportColumns(browserSurvey);
+    
+    browserResponses = responses.filter(response => {
+      if (filterValue) {
+        const filterColumns = filterQuestionId ? columns.filter(column => column.id === filterQuestionId) : columns;
+        const matches = filterColumns.some(column =>
+          formatResponseAnswer(browserSurvey, column, response).toLowerCase().includes(filterValue));
+        if (!matches) {
+          return false;
+        }
       }
-      
-      const question = {
-        type: questionType,
-        text: questionText,
-        required: isRequired
-      };
+      if (search) {
+        const text = [response.id, ...columns.map(column => formatResponseAnswer(browserSurvey, column, response))]
+          .join(' ')
+          .toLowerCase();
+        return text.includes(search);
+      }
+      return true;
+    }).reverse();
+    
+    browserPage = 0;
+    renderResponseTable();
+  } catch (error) {
+    console.error('Error filtering responses:', error);
+    alert('Error filtering responses');
+  }
+}
+
+function renderResponseTable() {
+  const columns = getExportColumns(browserSurvey).slice(0, 3);
+  const pageCount = Math.max(1, Math.ceil(browserResponses.length / RESPONSES_PER_PAGE));
+  browserPage = Math.min(Math.max(browserPage, 0), pageCount - 1);
+  
+  const start = browserPage * RESPONSES_PER_PAGE;
+  const pageResponses = browserResponses.slice(start, start + RESPONSES_PER_PAGE);
+  
+  document.getElementById('responses-table-head').innerHTML = `
+    <tr>
+      <th class="px-3 py-2 text-left">ID</th>
+      <th class="px-3 py-2 text-left">Recorded</th>
+      ${columns.map(column => `<th class="px-3 py-2 text-left">${escapeHtml(column.text)}</th>`).join('')}
+      <th class="px-3 py-2"></th>
+    </tr>
+  `;
+  
+  document.getElementById('responses-table-body').innerHTML = pageResponses.length === 0
+    ? `<tr><td colspan="${columns.length + 3}" class="px-3 py-8 text-center text-gray-500">No responses match these filters.</td></tr>`
+    : pageResponses.map(response => `
+      <tr class="border-t border-gray-200">
+        <td class="px-3 py-2">${response.id}</td>
+        <td class="px-3 py-2 whitespace-nowrap">
+          ${new Date(response.timestamp).toLocaleString()}
+          ${response.history && response.history.length > 0 ? '<span class="ml-1 text-xs text-orange-600">(edited)</span>' : ''}
+        </td>
+        ${columns.map(column => `
+          <td class="px-3 py-2 max-w-xs truncate">${escapeHtml(formatResponseAnswer(browserSurvey, column, response))}</td>
+        `).join('')}
+        <td class="px-3 py-2 text-right">
+          <button onclick="openResponseDetail(${response.id})" class="text-blue-600 hover:text-blue-800">View</button>
+        </td>
+      </tr>
+    `).join('');
+  
+  const end = Math.min(start + RESPONSES_PER_PAGE, browserResponses.length);
+  document.getElementById('responses-page-info').textContent = browserResponses.length === 0
+    ? 'No responses'
+    : `Showing ${start + 1}–${end} of ${browserResponses.length}`;
+  document.getElementById('responses-prev').disabled = browserPage === 0;
+  document.getElementById('responses-next').disabled = browserPage >= pageCount - 1;
+}
+
+async function openResponseDetail(responseId) {
+  try {
+    const stored = await surveyDB.getResponse(responseId);
+    if (!stored) {
+      alert('Response not found');
+      return;
+    }
+    
+    const [response] = await decryptResponses(browserSurvey, [stored]);
+    selectedResponse = response;
+    const questions = getVersionQuestions(browserSurvey, response.surveyVersion);
+    const form = document.getElementById('response-detail-form');
+    
+    document.getElementById('response-detail-title').textContent = `Response ${response.id}`;
+    document.getElementById('response-detail-meta').textContent =
+      `Recorded ${new Date(response.timestamp).toLocaleString()} • Survey version ${response.surveyVersion || 1}` +
+      (response.enumerator ? ` • Enumerator: ${response.enumerator}` : '') +
+      (response.language ? ` • Language: ${response.language}` : '') +
+      (response.meta ? ` • Took ${formatDuration(response.meta.duration)}` : '');
+    
+    form.innerHTML = '';
+    questions.forEach(question => {
+      const repeatSection = getRepeatSection(browserSurvey, question);
+      if (repeatSection) {
+        getRepeatGroup(form, repeatSection, questions, `response_${response.id}`);
+      } else {
+        form.appendChild(createQuestionBlock(question, `${question.id}_response_${response.id}`));
+      }
+    });
+    fillResponseInputs(form, response.data);
+    await showStoredMedia(form, response);
+    form.oninput = () => applyDisplayConditions(form, questions);
+    form.onchange = () => applyDisplayConditions(form, questions);
+    applyDisplayConditions(form, questions);
+    
+    renderResponseHistory(response);
+    document.getElementById('response-detail-modal').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading response:', error);
+    alert('Error loading response');
+  }
+}
+
+function closeResponseDetail() {
+  selectedResponse = null;
+  document.getElementById('response-detail-modal').classList.add('hidden');
+  document.getElementById('response-detail-form').innerHTML = '';
+}
+
+function renderResponseHistory(response) {
+  const historyContainer = document.getElementById('response-detail-history');
+  const history = response.history || [];
+  if (history.length === 0) {
+    historyContainer.innerHTML = '<p class="text-sm text-gray-500">This response has not been edited.</p>';
+    return;
+  }
+  
+  const questions = getExportColumns(browserSurvey);
+  historyContainer.innerHTML = `
+    <h4 class="text-sm font-medium text-gray-900 mb-2">Edit History</h4>
+    <ul class="space-y-2 text-sm text-gray-700">
+      ${history.slice().reverse().map(entry => `
+        <li class="border border-gray-200 rounded p-2">
+          <div class="text-xs text-gray-500 mb-1">${new Date(entry.editedAt).toLocaleString()}</div>
+          ${Object.entries(entry.changes).map(([key, change]) => {
+            const questionId = change.questionId || key;
+            const question = questions.find(q => q.id === questionId) || { id: questionId, text: questionId };
+            return `
+              <div>
+                <span class="font-medium">${escapeHtml(question.text)}${change.repeat ? ` [${change.repeat}]` : ''}:</span>
+                ${escapeHtml(formatAnswer(question, change.from) || '(blank)')} → ${escapeHtml(formatAnswer(question, change.to) || '(blank)')}
+              </div>
+            `;
+          }).join('')}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+async function saveResponseEdits() {
+  if (!selectedResponse) return;
+  
+  const form = document.getElementById('response-detail-form');
+  const questions = getVersionQuestions(browserSurvey, selectedResponse.surveyVersion);
+  const responseData = readResponseForm(form, browserSurvey, questions);
+  if (!responseData) {
+    return;
+  }
+  
+  // Record only the answers that actually changed; answers in repeats are recorded
+  // under "<question ID>#<repeat number>"
+  const normalize = answer => (isAnswered(answer) ? JSON.stringify(answer) : '');
+  const changes = {};
+  const recordChanges = (beforeData, afterData, repeat) => {
+    const questionIds = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+    questionIds.forEach(questionId => {
+      const before = beforeData[questionId];
+      const after = afterData[questionId];
+      if (normalize(before) !== normalize(after)) {
+        const change = { from: before ?? '', to: after ?? '' };
+        changes[repeat ? `${questionId}#${repeat}` : questionId] = repeat ? { ...change, questionId, repeat } : change;
+      }
+    });
+  };
+  const repeatSections = getRepeatSections(browserSurvey).filter(section => section.id in responseData);
+  const repeatKeys = new Set(repeatSections.flatMap(section => [
+    section.id,
+    ...questions.filter(question => question.sectionId === section.id).map(question => question.id)
+  ]));
+  const withoutRepeats = data => Object.fromEntries(Object.entries(data).filter(([key]) => !repeatKeys.has(key)));
+  recordChanges(withoutRepeats(selectedResponse.data), withoutRepeats(responseData));
+  repeatSections.forEach(section => {
+    const before = getRepeatAnswers(selectedResponse.data, section, questions);
+    const after = responseData[section.id];
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      recordChanges(before[index] || {}, after[index] || {}, index + 1);
+    }
+  });
+  
+  if (Object.keys(changes).length === 0) {
+    closeResponseDetail();
+    return;
+  }
+  
+  try {
+    const updatedAt = new Date().toISOString();
+    const updated = {
+      ...selectedResponse,
+      data: responseData,
+      updatedAt: updatedAt,
+      history: [...(selectedResponse.history || []), { editedAt: updatedAt, changes: changes }]
+    };
+    
+    // Upload the edit as well
+    if (updated.syncStatus) {
+      delete updated.syncError;
+      updated.syncStatus = 'pending';
+    }
+    
+    await surveyDB.updateResponse(await encryptResponse(browserSurvey, updated));
+    requestSync();
+    closeResponseDetail();
+    await applyResponseFilters();
+  } catch (error) {
+    console.error('Error updating response:', error);
+    alert('Error updating response');
+  }
+}
+
+async function deleteSelectedResponse() {
+  if (!selectedResponse) return;
+  
+  if (!confirm(`Are you sure you want to delete response ${selectedResponse.id}? This cannot be undone.`)) {
+    return;
+  }
+  
+  try {
+    await surveyDB.deleteResponse(selectedResponse.id);
+    closeResponseDetail();
+    await applyResponseFilters();
+  } catch (error) {
+    console.error('Error deleting response:', error);
+    alert('Error deleting response');
+  }
+}
+
+// Backup and Restore
+const BACKUP_FORMAT = 'offline-survey-tool-backup';
+
+document.getElementById('backup-all').addEventListener('click', backupEverything);
+document.getElementById('restore-backup').addEventListener('click', restoreFromFile);
+
+// Surveys created on one device and restored on another keep their creation time and name
+function isSameSurvey(a, b) {
+  return a.name === b.name && a.createdAt === b.createdAt;
+}
+
+// A response matches another with the same unique ID or, for backups made before
+// responses had one, the same survey, time and answers
+function getResponseIdentities(response) {
+  const contentKey = `${response.surveyId}|${response.timestamp}|${JSON.stringify(response.data || response.encryptedData)}`;
+  return response.uuid ? [response.uuid, contentKey] : [contentKey];
+}
+
+async function backupEverything() {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  try {
+    const backup = {
+      format: BACKUP_FORMAT,
+      formatVersion: 2,
+      createdAt: new Date().toISOString(),
+      databaseVersion: surveyDB.db.version,
+      surveys: await surveyDB.getAllSurveys(),
+      responses: await surveyDB.getAllResponses(),
+      library: await surveyDB.getLibraryItems(),
+      media: await Promise.all((await surveyDB.getAllMedia()).map(async record => ({
+        responseUuid: record.responseUuid,
+        questionId: record.questionId,
+        file: record.file,
+        type: record.blob.type,
+        data: bytesToBase64(await record.blob.arrayBuffer())
+      })))
+    };
     
-    if (questionType === 'multiple') {
-      const numChoices = parseInt(item.querySelector('.num-choices').value);
-      const allowMultiple = item.querySelector('.allow-multiple').checked;
-      const choiceInputs = item.querySelectorAll('.choice-input');
+    const date = toLocalDateKey(new Date());
+    downloadFile(JSON.stringify(backup), `survey_tool_backup_${date}.json`, 'application/json');
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    alert('Error creating backup');
+  }
+}
+
+function restoreFromFile() {
+  const fileInput = document.getElementById('backup-file');
+  const file = fileInput.files[0];
+  const resultElement = document.getElementById('restore-result');
+  
+  if (!file) {
+    alert('Please select a backup file');
+    return;
+  }
+  
+  const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+  if (mode === 'replace' && !confirm('Replacing will delete every survey and response on this device before restoring. Continue?')) {
+    return;
+  }
+  
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      const backup = JSON.parse(e.target.result);
+      if (backup.format !== BACKUP_FORMAT || !Array.isArray(backup.surveys) || !Array.isArray(backup.responses)) {
+        alert('This file is not a survey tool backup');
+        return;
+      }
       
-      const choices = [];
-      for (let i = 0; i < numChoices; i++) {
-        const choiceText = choiceInputs[i]?.value.trim();
-        if (!choiceText) {
-          alert('Please enter text for all choices');
-          return;
-        }
-        choices.push(choiceText);
+      if (!surveyDB) {
+        console.error('Database not initialized');
+        alert('Database not ready. Please refresh the page.');
+        return;
       }
       
-      question.choices = choices;
-      question.allowMultiple = allowMultiple;
+      const summary = await surveyDB.restoreBackup(backup, mode);
+      resultElement.textContent =
+        `Surveys: ${summary.surveysAdded} added, ${summary.surveysSkipped} already present. ` +
+        `Responses: ${summary.responsesAdded} added, ${summary.responsesSkipped} already present.` +
+        (summary.libraryAdded > 0 ? ` Library: ${summary.libraryAdded} added.` : '') +
+        (summary.mediaAdded > 0 ? ` Media files: ${summary.mediaAdded} added.` : '');
+      resultElement.classList.remove('hidden');
+      fileInput.value = '';
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      alert('Error restoring backup');
+    }
+  };
+  
+  reader.readAsText(file);
+}
+
+// Importing Responses from Other Devices
+let importSurveyId = null;
+
+document.getElementById('import-responses-file').addEventListener('change', importResponsesFromFile);
+
+function importResponses(surveyId) {
+  importSurveyId = surveyId;
+  const fileInput = document.getElementById('import-responses-file');
+  fileInput.value = '';
+  fileInput.click();
+}
+
+// Question IDs are generated per device when a config without them is loaded,
+// so definitions are compared with each ID replaced by its position
+function getDefinitionFingerprint(questions) {
+  const positions = {};
+  questions.forEach((question, index) => {
+    positions[question.id] = index;
+  });
+  
+  // {{references}} by ID are compared by position too
+  const toPosition = reference => {
+    const index = questions.findIndex(question => question.id === reference);
+    return index === -1 ? reference : `#${index}`;
+  };
+  
+  return JSON.stringify(questions.map(question => {
+    const { id, ...definition } = renameQuestionReferences(question, toPosition);
+    if (definition.conditions) {
+      definition.conditions = {
+        ...definition.conditions,
+        rules: definition.conditions.rules.map(rule => ({ ...rule, questionId: positions[rule.questionId] }))
+      };
+    }
+    return definition;
+  }));
+}
+
+// Checks that every version the imported responses answered exists here with the same
+// questions, and returns the imported-to-local question ID mapping for each version
+function matchSurveyVersions(localSurvey, importedSurvey, responses) {
+  const questionIdMaps = {};
+  const versions = [...new Set(responses.map(response => response.surveyVersion || 1))];
+  
+  for (const version of versions) {
+    const localVersion = getSurveyVersions(localSurvey).find(v => v.version === version);
+    const importedQuestions = getVersionQuestions(importedSurvey, version);
+    if (!localVersion || getDefinitionFingerprint(localVersion.questions) !== getDefinitionFingerprint(importedQuestions)) {
+      return { error: `Version ${version} of the survey in this file does not match the survey on this device.` };
     }
     
-    questions.push(question);
+    questionIdMaps[version] = {};
+    importedQuestions.forEach((question, index) => {
+      questionIdMaps[version][question.id] = localVersion.questions[index].id;
+    });
+  }
+  
+  return { questionIdMaps };
+}
+
+function getEncryptedImportError(localSurvey, importedSurvey, responses, questionIdMaps) {
+  if (!responses.some(response => response.encryptedData)) {
+    return null;
+  }
+  
+  const sameKey = localSurvey.encryption && importedSurvey.encryption &&
+    localSurvey.encryption.publicKey.n === importedSurvey.encryption.publicKey.n;
+  if (!sameKey) {
+    return 'The responses are encrypted for a different survey. Export them again after unlocking the survey on the other device.';
+  }
+  
+  const sameIds = Object.values(questionIdMaps).every(idMap =>
+    Object.entries(idMap).every(([importedId, localId]) => importedId === localId));
+  return sameIds ? null : 'The encrypted responses use different question IDs than the survey on this device.';
+}
+
+// Answers keyed by the local question IDs, in each repeat of repeated sections too
+function remapAnswerIds(answers, idMap, survey) {
+  const repeatIds = new Set(getRepeatSections(survey).map(section => section.id));
+  const data = {};
+  Object.entries(answers).forEach(([key, answer]) => {
+    data[idMap[key] || key] = repeatIds.has(key) && Array.isArray(answer)
+      ? answer.map(repeat => remapAnswerIds(repeat, idMap, survey))
+      : answer;
   });
+  return data;
+}
+
+function importResponsesFromFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
   
-  const survey = {
-    name: surveyName,
-    questions: questions,
-    createdAt: new Date().toISOString()
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      const exported = JSON.parse(e.target.result);
+      if (exported.format !== 'offline-survey-tool-responses' || !exported.survey || !Array.isArray(exported.responses)) {
+        alert('This file is not a JSON response export. Export responses as JSON on the other device first.');
+        return;
+      }
+      
+      if (!surveyDB) {
+        console.error('Database not initialized');
+        alert('Database not ready. Please refresh the page.');
+        return;
+      }
+      
+      const survey = await surveyDB.getSurvey(importSurveyId);
+      const missingUuid = exported.responses.some(response => !response.uuid);
+      if (missingUuid) {
+        alert('Some responses in this file have no unique ID. Update the app on the other device and export again.');
+        return;
+      }
+      
+      const { error, questionIdMaps } = matchSurveyVersions(survey, exported.survey, exported.responses);
+      if (error) {
+        alert(`Cannot merge these responses. ${error}`);
+        return;
+      }
+      
+      // Responses still encrypted can't be re-keyed, so they need the same questions and key pair
+      const encryptedError = getEncryptedImportError(survey, exported.survey, exported.responses, questionIdMaps);
+      if (encryptedError) {
+        alert(`Cannot merge these responses. ${encryptedError}`);
+        return;
+      }
+      
+      const responses = await Promise.all(exported.responses.map(response => {
+        const { id, ...imported } = response;
+        // The other device uploads its own responses, so they are not queued here
+        delete imported.syncStatus;
+        delete imported.syncError;
+        delete imported.syncedAt;
+        imported.surveyId = importSurveyId;
+        
+        if (imported.encryptedData) {
+          return imported;
+        }
+        
+        const idMap = questionIdMaps[response.surveyVersion || 1];
+        return encryptResponse(survey, { ...imported, data: remapAnswerIds(response.data, idMap, survey) });
+      }));
+      
+      const summary = await surveyDB.importResponses(responses);
+      alert(`Imported ${summary.added} responses. ${summary.skipped} were already on this device.`);
+      loadSurveys();
+    } catch (error) {
+      console.error('Error importing responses:', error);
+      alert('Error importing responses');
+    }
   };
   
+  reader.readAsText(file);
+}
+
+// Settings
+document.getElementById('save-settings').addEventListener('click', saveSettings);
+
+function loadSettings() {
   if (!surveyDB) {
     console.error('Database not initialized');
-    alert('Database not ready. Please refresh the page.');
+    return;
+  }
+  
+  document.getElementById('settings-device-id').textContent = surveyDB.device.id;
+  document.getElementById('settings-enumerator').value = surveyDB.device.enumerator;
+  document.getElementById('settings-saved').classList.add('hidden');
+  document.getElementById('sync-result').classList.add('hidden');
+  document.getElementById('settings-kiosk-pin').value = '';
+  
+  Promise.all([surveyDB.getSetting('syncEndpoint'), surveyDB.getSetting('kioskPinHash')])
+    .then(([endpoint, pinHash]) => {
+      document.getElementById('settings-sync-endpoint').value = endpoint || '';
+      document.getElementById('settings-kiosk-pin-status').textContent = pinHash
+        ? 'A PIN is set. Enter a new one to change it.'
+        : 'No PIN set. Kiosk mode needs one so respondents cannot leave it.';
+    })
+    .catch(error => console.error('Error loading settings:', error));
+}
+
+async function saveSettings() {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  const endpoint = document.getElementById('settings-sync-endpoint').value.trim();
+  if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+    alert('The sync endpoint must be an http:// or https:// URL');
+    return;
+  }
+  
+  const pin = document.getElementById('settings-kiosk-pin').value.trim();
+  if (pin && !/^\d{4,}$/.test(pin)) {
+    alert('The admin PIN must be at least 4 digits');
     return;
   }
   
   try {
-    await surveyDB.saveSurvey(survey);
-    alert('Survey saved successfully!');
-    
-    // Reset form
-    document.getElementById('survey-name').value = '';
-    document.getElementById('questions-container').innerHTML = '';
-    questionCounter = 0;
-    
-    showPage('surveys');
+    await surveyDB.setEnumerator(document.getElementById('settings-enumerator').value.trim());
+    // Responses saved while there was no endpoint are queued once one is set
+    if (endpoint && !(await surveyDB.getSetting('syncEndpoint'))) {
+      await surveyDB.queueUnsyncedResponses();
+    }
+    await surveyDB.setSetting('syncEndpoint', endpoint);
+    if (pin) {
+      await surveyDB.setSetting('kioskPinHash', await hashPin(pin));
+    }
+    loadSettings();
+    document.getElementById('settings-saved').classList.remove('hidden');
+    requestSync();
   } catch (error) {
-    console.error('Error saving survey:', error);
-    alert('Error saving survey');
+    console.error('Error saving settings:', error);
+    alert('Error saving settings');
   }
 }
 
-// Survey Loading
-document.getElementById('load-survey').addEventListener('click', loadSurveyFromFile);
-document.getElementById('cancel-load').addEventListener('click', () => showPage('surveys'));
+// Sync
+// Uploading is done by scripts/sync.js. Where the browser supports Background Sync the
+// service worker runs it; otherwise the page retries with exponential backoff.
+const SYNC_RETRY_MIN_DELAY = 5000;
+const SYNC_RETRY_MAX_DELAY = 5 * 60 * 1000;
 
-function loadSurveyFromFile() {
-  const fileInput = document.getElementById('survey-file');
-  const file = fileInput.files[0];
+let syncRetryDelay = SYNC_RETRY_MIN_DELAY;
+let syncRetryTimer = null;
+let syncInProgress = false;
+
+document.getElementById('sync-now').addEventListener('click', syncFromSettings);
+window.addEventListener('online', () => requestSync());
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'sync-complete' && !pages.surveys.classList.contains('hidden')) {
+      loadSurveys();
+    }
+  });
+}
+
+function renderSyncStatus(responses) {
+  const counts = { synced: 0, pending: 0, failed: 0 };
+  responses.forEach(response => {
+    if (response.syncStatus in counts) {
+      counts[response.syncStatus]++;
+    }
+  });
   
-  if (!file) {
-    alert('Please select a survey file');
+  if (counts.synced + counts.pending + counts.failed === 0) {
+    return '';
+  }
+  
+  return `
+    <p class="text-xs mt-1">
+      <span class="text-green-700">${counts.synced} synced</span> •
+      <span class="text-yellow-700">${counts.pending} pending</span> •
+      <span class="${counts.failed > 0 ? 'text-red-700 font-medium' : 'text-gray-500'}">${counts.failed} failed</span>
+    </p>
+  `;
+}
+
+async function requestSync() {
+  if (!surveyDB || !(await surveyDB.getSetting('syncEndpoint'))) {
     return;
   }
   
-  const reader = new FileReader();
-  reader.onload = async (e) => {
+  if ('serviceWorker' in navigator && 'SyncManager' in window) {
     try {
-      const surveyData = JSON.parse(e.target.result);
-      
-      // Validate survey data structure
-      if (!surveyData.name || !surveyData.questions || !Array.isArray(surveyData.questions)) {
-        alert('Invalid survey file format');
-        return;
-      }
-      
-      // Add timestamp for when it was loaded
-      surveyData.loadedAt = new Date().toISOString();
-      
-      if (!surveyDB) {
-        console.error('Database not initialized');
-        alert('Database not ready. Please refresh the page.');
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration && registration.active) {
+        await registration.sync.register(SYNC_TAG);
         return;
       }
-      
-      await surveyDB.saveSurvey(surveyData);
-      alert('Survey loaded successfully!');
-      fileInput.value = '';
-      showPage('surveys');
     } catch (error) {
-      console.error('Error loading survey:', error);
-      alert('Error loading survey file');
+      console.log('Background Sync unavailable, syncing from the page:', error);
     }
-  };
+  }
   
-  reader.readAsText(file);
+  // Failures are logged and retried by syncNow itself
+  syncNow().catch(() => {});
 }
 
-// Session response counter update function
-function updateSessionResponseCounter() {
-  const counterElement = document.getElementById('session-response-counter');
-  if (counterElement) {
-    counterElement.textContent = `Responses recorded this session: ${sessionResponseCount}`;
+// Uploads from the page, scheduling a retry with a doubled delay if the server can't be reached
+async function syncNow() {
+  if (syncInProgress) return null;
+  clearTimeout(syncRetryTimer);
+  syncRetryTimer = null;
+  syncInProgress = true;
+  
+  try {
+    const summary = await syncPendingResponses();
+    syncRetryDelay = SYNC_RETRY_MIN_DELAY;
+    if (!pages.surveys.classList.contains('hidden')) {
+      loadSurveys();
+    }
+    return summary;
+  } catch (error) {
+    console.log(`Sync failed, retrying in ${syncRetryDelay / 1000}s:`, error);
+    syncRetryTimer = setTimeout(() => syncNow().catch(() => {}), syncRetryDelay);
+    syncRetryDelay = Math.min(syncRetryDelay * 2, SYNC_RETRY_MAX_DELAY);
+    throw error;
+  } finally {
+    syncInProgress = false;
   }
 }
 
-// Survey Conduction
-document.getElementById('add-response-card').addEventListener('click', addResponseCard);
-document.getElementById('finish-conducting').addEventListener('click', () => {
-  if (confirm('Are you sure you want to finish conducting this survey? All incomplete response cards will be lost.')) {
-    showPage('surveys');
+async function syncFromSettings() {
+  if (!surveyDB) {
+    console.error('Database not initialized');
+    return;
+  }
+  
+  const resultElement = document.getElementById('sync-result');
+  if (!(await surveyDB.getSetting('syncEndpoint'))) {
+    alert('Save a sync endpoint first');
+    return;
+  }
+  
+  try {
+    await surveyDB.retryFailedSync();
+    const summary = await syncNow();
+    if (!summary) return;
+    
+    resultElement.textContent = `Uploaded ${summary.synced} responses. ${summary.failed} were rejected by the server.`;
+    resultElement.className = 'mt-4 text-sm text-green-700';
+  } catch (error) {
+    resultElement.textContent = 'Could not reach the sync server. Responses stay queued and will be retried automatically.';
+    resultElement.className = 'mt-4 text-sm text-red-700';
   }
+}
+
+// Kiosk Mode
+// One respondent at a time, one question per screen. The navigation bar is hidden
+// and leaving needs the admin PIN, so respondents cannot reach other surveys or responses.
+const KIOSK_RESTART_DELAY = 10000;
+const DEFAULT_THANK_YOU_MESSAGE = 'Thank you for taking part!';
+
+let kioskSurvey = null;
+let kioskQuestionId = null;
+let kioskLanguage = null;
+let kioskRestartTimer = null;
+let kioskOpenedAt = null;
+let kioskAnswerTimes = {};
+
+document.getElementById('kiosk-next').addEventListener('click', kioskNext);
+document.getElementById('kiosk-back').addEventListener('click', kioskBack);
+document.getElementById('kiosk-restart').addEventListener('click', resetKiosk);
+document.getElementById('kiosk-form').addEventListener('input', (e) => {
+  recordAnswerTime(kioskAnswerTimes, e.target);
+  updateCalculatedAnswers(e.currentTarget, kioskSurvey.questions);
+});
+document.getElementById('kiosk-form').addEventListener('change', (e) => {
+  recordAnswerTime(kioskAnswerTimes, e.target);
+  updateCalculatedAnswers(e.currentTarget, kioskSurvey.questions);
+});
+document.getElementById('kiosk-language').addEventListener('change', (e) => {
+  kioskLanguage = e.target.value;
+  renderKioskQuestions(collectResponses(document.getElementById('kiosk-form')));
+  showKioskQuestion(kioskSurvey.questions.find(question => question.id === kioskQuestionId));
+});
+document.getElementById('kiosk-exit').addEventListener('click', () => {
+  document.getElementById('kiosk-pin-input').value = '';
+  document.getElementById('kiosk-pin-error').classList.add('hidden');
+  document.getElementById('kiosk-pin-dialog').classList.remove('hidden');
+  document.getElementById('kiosk-pin-input').focus();
+});
+document.getElementById('kiosk-pin-cancel').addEventListener('click', () => {
+  document.getElementById('kiosk-pin-dialog').classList.add('hidden');
+});
+document.getElementById('kiosk-pin-unlock').addEventListener('click', exitKiosk);
+document.getElementById('kiosk-pin-input').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') exitKiosk();
 });
 
-function addResponseCard() {
-  if (!currentSurvey) {
-    alert('No survey selected');
+// The PIN is salted with the device ID so the stored hash can't be looked up in a table
+async function hashPin(pin) {
+  const bytes = new TextEncoder().encode(`${surveyDB.device.id}:${pin}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function getActiveKioskSurvey() {
+  const surveyId = await surveyDB.getSetting('kioskSurveyId');
+  return surveyId ? surveyDB.getSurvey(surveyId) : null;
+}
+
+async function startKiosk(surveyId) {
+  if (!surveyDB) {
+    console.error('Database not initialized');
     return;
   }
   
-  const template = document.getElementById('response-card-template');
-  const clone = template.content.cloneNode(true);
-  
-  const cardId = Date.now();
-  const responseCard = clone.querySelector('.response-card');
-  responseCard.dataset.cardId = cardId;
-  
-  // Set up remove button
-  clone.querySelector('.remove-card').addEventListener('click', () => {
-    responseCard.remove();
-    responseCards = responseCards.filter(card => card.id !== cardId);
-  });
-  
-  // Set up mark complete button
-  clone.querySelector('.mark-complete').addEventListener('click', () => {
-    markCardComplete(cardId);
-  });
-  
-  // Create response inputs for each question
-  const responsesContainer = clone.querySelector('.responses-container');
-  currentSurvey.questions.forEach((question, index) => {
-    const questionDiv = document.createElement('div');
-    questionDiv.className = 'mb-4';
+  try {
+    if (!(await surveyDB.getSetting('kioskPinHash'))) {
+      alert('Set an admin PIN in Settings before starting kiosk mode');
+      return;
+    }
     
-    let inputHtml = '';
-    const requiredIndicator = question.required ? ' <span class="text-red-500">*</span>' : '';
+    const survey = await surveyDB.getSurvey(surveyId);
+    if (!survey) {
+      alert('Survey not found');
+      return;
+    }
+    // Kiosk mode shows one question per screen, which doesn't fit repeats added by hand
+    if (getRepeatSections(survey).length > 0) {
+      alert('Surveys with repeated sections cannot be used in kiosk mode');
+      return;
+    }
     
-    if (question.type === 'freeform') {
-      inputHtml = `
-        <label class="block text-sm font-medium text-gray-700 mb-2">${question.text}${requiredIndicator}</label>
-        <input type="text" class="response-input w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" 
-               data-question="${index}">
-      `;
-    } else if (question.type === 'multiple') {
-      inputHtml = `
-        <label class="block text-sm font-medium text-gray-700 mb-2">${question.text}${requiredIndicator}</label>
-        <div class="space-y-2">
-          ${question.choices.map((choice, choiceIndex) => `
-            <label class="flex items-center">
-              <input type="${question.allowMultiple ? 'checkbox' : 'radio'}" 
-                     name="question_${index}_card_${cardId}" 
-                     value="${choice}" 
-                     class="response-input mr-2" 
-                     data-question="${index}">
-              <span class="text-sm text-gray-700">${choice}</span>
-            </label>
-          `).join('')}
-        </div>
-      `;
+    await surveyDB.setSetting('kioskSurveyId', surveyId);
+    enterKiosk(survey);
+  } catch (error) {
+    console.error('Error starting kiosk mode:', error);
+    alert('Error starting kiosk mode');
+  }
+}
+
+function enterKiosk(survey) {
+  // Respondents must not be able to read anything unlocked earlier
+  unlockedSurveyKeys.clear();
+  kioskSurvey = survey;
+  document.getElementById('main-nav').classList.add('hidden');
+  document.getElementById('kiosk-survey-title').textContent = survey.name;
+  resetKiosk();
+  showPage('kiosk');
+}
+
+async function exitKiosk() {
+  try {
+    const pinHash = await surveyDB.getSetting('kioskPinHash');
+    if (await hashPin(document.getElementById('kiosk-pin-input').value.trim()) !== pinHash) {
+      document.getElementById('kiosk-pin-error').classList.remove('hidden');
+      return;
     }
     
-    questionDiv.innerHTML = inputHtml;
-    responsesContainer.appendChild(questionDiv);
-  });
-  
-  document.getElementById('response-cards-container').appendChild(clone);
-  document.getElementById('no-cards').classList.add('hidden');
-  
-  responseCards.push({
-    id: cardId,
-    element: responseCard,
-    completed: false
-  });
+    await surveyDB.setSetting('kioskSurveyId', null);
+    clearTimeout(kioskRestartTimer);
+    kioskSurvey = null;
+    document.getElementById('kiosk-pin-dialog').classList.add('hidden');
+    document.getElementById('kiosk-form').innerHTML = '';
+    document.getElementById('main-nav').classList.remove('hidden');
+    showPage('surveys');
+  } catch (error) {
+    console.error('Error leaving kiosk mode:', error);
+    alert('Error leaving kiosk mode');
+  }
 }
 
-async function markCardComplete(cardId) {
-  const card = responseCards.find(c => c.id === cardId);
-  if (!card) return;
+// Builds every question up front so answers survive going back and forth;
+// only the current one is shown
+function resetKiosk() {
+  clearTimeout(kioskRestartTimer);
   
-  const responseData = {};
-  const inputs = card.element.querySelectorAll('.response-input');
-  const validationErrors = [];
+  // Every respondent starts in the survey's first language and can pick their own
+  const languages = getSurveyLanguages(kioskSurvey);
+  const languageSelect = document.getElementById('kiosk-language');
+  kioskLanguage = languages[0] || null;
+  languageSelect.innerHTML = languages.map(language => `<option>${escapeHtml(language)}</option>`).join('');
+  languageSelect.value = kioskLanguage || '';
+  document.getElementById('kiosk-language-picker').classList.toggle('hidden', languages.length < 2);
   
-  // Clear previous validation errors
-  card.element.querySelectorAll('.border-red-500').forEach(el => {
-    el.classList.remove('border-red-500');
-    el.classList.add('border-gray-300');
-  });
-  // Only remove error messages, not buttons
-  card.element.querySelectorAll('.text-red-600.text-sm').forEach(el => {
-    el.remove();
-  });
+  renderKioskQuestions({});
+  kioskOpenedAt = new Date().toISOString();
+  kioskAnswerTimes = {};
   
-  // Collect responses and validate required questions
-  inputs.forEach(input => {
-    const questionIndex = input.dataset.question;
-    if (input.type === 'checkbox' || input.type === 'radio') {
-      if (input.checked) {
-        if (!responseData[`question_${questionIndex}`]) {
-          responseData[`question_${questionIndex}`] = [];
-        }
-        responseData[`question_${questionIndex}`].push(input.value);
-      }
-    } else {
-      responseData[`question_${questionIndex}`] = input.value;
-    }
+  document.getElementById('kiosk-thank-you').classList.add('hidden');
+  document.getElementById('kiosk-questions').classList.remove('hidden');
+  showKioskQuestion(getKioskQuestions()[0]);
+}
+
+function renderKioskQuestions(answers) {
+  const form = document.getElementById('kiosk-form');
+  form.innerHTML = '';
+  kioskSurvey.questions.forEach((question, index) => {
+    const questionDiv = document.createElement('div');
+    questionDiv.className = 'hidden';
+    questionDiv.dataset.questionBlock = question.id;
+    
+    // Each step shows its section's title; the first step of a section also its introduction
+    const section = getSection(kioskSurvey, question.sectionId);
+    const startsSection = section && (index === 0 || kioskSurvey.questions[index - 1].sectionId !== section.id);
+    const sectionHeading = section ? `
+      <p class="text-sm font-medium text-indigo-700 uppercase tracking-wide mb-2">${escapeHtml(section.title)}</p>
+      ${startsSection && section.intro ? `<p class="text-gray-600 mb-4">${escapeHtml(section.intro)}</p>` : ''}
+    ` : '';
+    questionDiv.innerHTML = sectionHeading + buildQuestionInputHtml(question, `${question.id}_kiosk`, kioskLanguage);
+    form.appendChild(questionDiv);
   });
+  fillResponseInputs(form, answers);
+  updateCalculatedAnswers(form, kioskSurvey.questions);
+}
+
+// Questions the respondent will see given the answers so far, in order.
+// Calculated questions are worked out in the background and get no step.
+function getKioskQuestions() {
+  const visibleIds = getVisibleQuestionIds(kioskSurvey.questions, collectResponses(document.getElementById('kiosk-form')));
+  return kioskSurvey.questions.filter(question => visibleIds.has(question.id) && question.type !== 'calculated');
+}
+
+function showKioskQuestion(question) {
+  const form = document.getElementById('kiosk-form');
+  const questions = getKioskQuestions();
+  const position = questions.indexOf(question);
+  kioskQuestionId = question ? question.id : null;
   
-  // Validate required questions
-  currentSurvey.questions.forEach((question, index) => {
-    if (question.required) {
-      const hasAnswer = responseData[`question_${index}`] && 
-        (Array.isArray(responseData[`question_${index}`]) ? 
-         responseData[`question_${index}`].length > 0 : 
-         responseData[`question_${index}`].trim() !== '');
-      
-      if (!hasAnswer) {
-        validationErrors.push(index);
-        // Highlight the question input
-        const questionInputs = card.element.querySelectorAll(`[data-question="${index}"]`);
-        questionInputs.forEach(input => {
-          input.classList.remove('border-gray-300');
-          input.classList.add('border-red-500');
-        });
-        
-        // Add error message
-        const questionDiv = questionInputs[0].closest('.mb-4');
-        if (questionDiv && !questionDiv.querySelector('.text-red-600')) {
-          const errorDiv = document.createElement('div');
-          errorDiv.className = 'text-red-600 text-sm mt-1';
-          errorDiv.textContent = 'This question is required';
-          questionDiv.appendChild(errorDiv);
-        }
-      }
-    }
+  form.querySelectorAll('[data-question-block]').forEach(questionDiv => {
+    questionDiv.classList.toggle('hidden', questionDiv.dataset.questionBlock !== kioskQuestionId);
   });
   
-  // If there are validation errors, don't complete the card
-  if (validationErrors.length > 0) {
+  document.getElementById('kiosk-progress-text').textContent = `Question ${position + 1} of ${questions.length}`;
+  document.getElementById('kiosk-progress-bar').style.width = `${Math.round((position / questions.length) * 100)}%`;
+  document.getElementById('kiosk-back').classList.toggle('invisible', position <= 0);
+  document.getElementById('kiosk-next').textContent = position === questions.length - 1 ? 'Submit' : 'Next';
+}
+
+function kioskNext() {
+  const form = document.getElementById('kiosk-form');
+  const question = kioskSurvey.questions.find(q => q.id === kioskQuestionId);
+  
+  clearValidationErrors(form);
+  const error = question ? getAnswerError(question, collectResponses(form)[question.id]) : null;
+  if (error) {
+    showValidationError(form, question.id, error);
     return;
   }
   
-  if (!surveyDB) {
-    console.error('Database not initialized');
-    alert('Database not ready. Please refresh the page.');
-    return;
+  // Answering this question may have shown or hidden later ones
+  const questions = getKioskQuestions();
+  const next = questions[questions.indexOf(question) + 1];
+  if (next) {
+    showKioskQuestion(next);
+  } else {
+    submitKioskResponse();
+  }
+}
+
+function kioskBack() {
+  const questions = getKioskQuestions();
+  const position = questions.findIndex(question => question.id === kioskQuestionId);
+  if (position > 0) {
+    clearValidationErrors(document.getElementById('kiosk-form'));
+    showKioskQuestion(questions[position - 1]);
   }
+}
+
+async function submitKioskResponse() {
+  const form = document.getElementById('kiosk-form');
+  const responseData = collectResponses(form);
+  const visibleIds = getVisibleQuestionIds(kioskSurvey.questions, responseData);
+  Object.keys(responseData).forEach(questionId => {
+    if (!visibleIds.has(questionId)) {
+      delete responseData[questionId];
+    }
+  });
   
-  if (!surveyDB.isReady()) {
-    console.error('Database not ready');
-    alert('Database not ready. Please refresh the page.');
+  const invalidIds = validateResponses(form, kioskSurvey.questions, responseData, visibleIds);
+  if (invalidIds.length > 0) {
+    showKioskQuestion(kioskSurvey.questions.find(question => question.id === invalidIds[0]));
     return;
   }
   
   try {
-    await surveyDB.saveResponse(currentSurveyId, responseData);
-    card.completed = true;
-    card.element.remove();
-    
-    // Increment session response counter
-    sessionResponseCount++;
-    updateSessionResponseCounter();
-    
-    if (responseCards.every(c => c.completed)) {
-      document.getElementById('no-cards').classList.remove('hidden');
-    }
+    await surveyDB.saveResponse(kioskSurvey.id, responseData, getSurveyVersion(kioskSurvey), {
+      encryption: kioskSurvey.encryption,
+      language: kioskLanguage,
+      meta: buildResponseMeta(kioskOpenedAt, kioskAnswerTimes, responseData)
+    });
+    requestSync();
     
-    // Show success message briefly
-    const successDiv = document.createElement('div');
-    successDiv.className = 'fixed top-4 right-4 bg-green-500 text-white px-4 py-2 rounded shadow-lg z-50';
-    successDiv.textContent = 'Response saved successfully!';
-    document.body.appendChild(successDiv);
-    setTimeout(() => successDiv.remove(), 3000);
+    document.getElementById('kiosk-thank-you-text').textContent = kioskSurvey.thankYouMessage || DEFAULT_THANK_YOU_MESSAGE;
+    document.getElementById('kiosk-questions').classList.add('hidden');
+    document.getElementById('kiosk-thank-you').classList.remove('hidden');
+    document.getElementById('kiosk-form').innerHTML = '';
+    kioskRestartTimer = setTimeout(resetKiosk, KIOSK_RESTART_DELAY);
   } catch (error) {
     console.error('Error saving response:', error);
-    alert('Error saving response');
+    alert('Error saving response. Please ask a staff member for help.');
+  }
+}
+
+// Encryption
+// Unlocked private keys stay in memory for the rest of the session only
+const unlockedSurveyKeys = new Map();
+
+document.getElementById('passphrase-input').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') document.getElementById('passphrase-unlock').click();
+});
+
+// Asks for the passphrase of an encrypted survey until it is right or the user
+// cancels. Resolves true when the survey's responses can be read.
+function unlockSurvey(survey) {
+  if (!survey.encryption || unlockedSurveyKeys.has(survey.id)) {
+    return Promise.resolve(true);
+  }
+  
+  const dialog = document.getElementById('passphrase-dialog');
+  const input = document.getElementById('passphrase-input');
+  const errorElement = document.getElementById('passphrase-error');
+  const unlockButton = document.getElementById('passphrase-unlock');
+  
+  document.getElementById('passphrase-dialog-title').textContent = `Unlock: ${survey.name}`;
+  input.value = '';
+  errorElement.classList.add('hidden');
+  dialog.classList.remove('hidden');
+  input.focus();
+  
+  return new Promise(resolve => {
+    const close = (unlocked) => {
+      dialog.classList.add('hidden');
+      input.value = '';
+      resolve(unlocked);
+    };
+    
+    unlockButton.onclick = async () => {
+      unlockButton.disabled = true;
+      try {
+        unlockedSurveyKeys.set(survey.id, await unlockSurveyKey(survey.encryption, input.value));
+        close(true);
+      } catch (error) {
+        errorElement.classList.remove('hidden');
+      } finally {
+        unlockButton.disabled = false;
+      }
+    };
+    document.getElementById('passphrase-cancel').onclick = () => close(false);
+  });
+}
+
+// Responses with readable `data` and `history`; the survey must be unlocked first
+async function decryptResponses(survey, responses) {
+  if (!survey.encryption) {
+    return responses;
+  }
+  
+  const privateKey = unlockedSurveyKeys.get(survey.id);
+  return Promise.all(responses.map(async response => {
+    if (!response.encryptedData) {
+      return response;
+    }
+    const { encryptedData, ...rest } = response;
+    return { ...rest, ...(await decryptResponseData(privateKey, encryptedData)) };
+  }));
+}
+
+// Replaces `data` and `history` with their encrypted form for storage
+async function encryptResponse(survey, response) {
+  if (!survey.encryption) {
+    return response;
   }
+  
+  const { data, history, ...rest } = response;
+  const payload = history ? { data, history } : { data };
+  return { ...rest, encryptedData: await encryptResponseData(survey.encryption, payload) };
 }
 
 // Initialize the application
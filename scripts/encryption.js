@@ -0,0 +1,101 @@
+// Per-survey response encryption with the Web Crypto API.
+//
+// Each encrypted survey has an RSA-OAEP key pair. The public key is stored in the
+// clear so responses can be recorded without the passphrase; the private key is
+// stored wrapped with an AES-GCM key derived from the passphrase (PBKDF2).
+// Every response gets its own random AES-GCM key, which is encrypted with the
+// public key and stored next to the ciphertext.
+
+const ENCRYPTION_SCHEME = 'RSA-OAEP-256+AES-GCM-256';
+const PBKDF2_ITERATIONS = 310000;
+const RSA_PARAMS = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+function bytesToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so large ciphertexts don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+// Returns the `encryption` block stored on the survey
+async function createSurveyEncryption(passphrase) {
+  const keyPair = await crypto.subtle.generateKey(
+    { ...RSA_PARAMS, modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]) },
+    true,
+    ['encrypt', 'decrypt']
+  );
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrappingKey = await derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrappedPrivateKey = await crypto.subtle.wrapKey('pkcs8', keyPair.privateKey, wrappingKey, { name: 'AES-GCM', iv: iv });
+  
+  return {
+    scheme: ENCRYPTION_SCHEME,
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    privateKey: {
+      wrapped: bytesToBase64(wrappedPrivateKey),
+      salt: bytesToBase64(salt),
+      iv: bytesToBase64(iv),
+      iterations: PBKDF2_ITERATIONS
+    }
+  };
+}
+
+// Rejects when the passphrase is wrong
+async function unlockSurveyKey(encryption, passphrase) {
+  const { wrapped, salt, iv, iterations } = encryption.privateKey;
+  const wrappingKey = await derivePassphraseKey(passphrase, base64ToBytes(salt), iterations);
+  return crypto.subtle.unwrapKey(
+    'pkcs8',
+    base64ToBytes(wrapped),
+    wrappingKey,
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    RSA_PARAMS,
+    false,
+    ['decrypt']
+  );
+}
+
+async function encryptResponseData(encryption, payload) {
+  const publicKey = await crypto.subtle.importKey('jwk', encryption.publicKey, RSA_PARAMS, false, ['encrypt']);
+  const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, dataKey, new TextEncoder().encode(JSON.stringify(payload)));
+  const encryptedKey = await crypto.subtle.encrypt(RSA_PARAMS, publicKey, await crypto.subtle.exportKey('raw', dataKey));
+  
+  return {
+    key: bytesToBase64(encryptedKey),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(ciphertext)
+  };
+}
+
+async function decryptResponseData(privateKey, encryptedData) {
+  const rawKey = await crypto.subtle.decrypt(RSA_PARAMS, privateKey, base64ToBytes(encryptedData.key));
+  const dataKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(encryptedData.iv) },
+    dataKey,
+    base64ToBytes(encryptedData.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
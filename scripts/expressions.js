@@ -0,0 +1,416 @@
+// Expression language for calculated questions and answer piping.
+//
+// Expressions are parsed into a tree and evaluated by walking it, so nothing a
+// survey author writes is ever run as JavaScript. They support numbers, 'text'
+// or "text", {{references}} to earlier answers, arithmetic (+ - * / % ^),
+// & to join text, comparisons (= != < <= > >=), and, or, not, and the
+// functions in EXPRESSION_FUNCTIONS. Comparisons give 1 or 0.
+//
+// Values are numbers, text or null (no answer). Arithmetic on a missing or
+// non-numeric value gives null, so a calculation stays blank until the
+// answers it needs are given.
+
+const EXPRESSION_REFERENCE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+// Variable names of questions, as used in {{name}}
+const EXPRESSION_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const EXPRESSION_OPERATORS = ['<=', '>=', '!=', '<>', '==', '=', '<', '>', '+', '-', '*', '/', '%', '^', '&', '(', ')', ','];
+
+function toExpressionNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return null;
+}
+
+function toExpressionText(value) {
+  return value === null ? '' : String(value);
+}
+
+function isExpressionTruthy(value) {
+  return value !== null && value !== '' && value !== 0;
+}
+
+// Applies fn to the arguments as numbers, or gives null when one isn't a number
+function numericFunction(fn) {
+  return (...args) => {
+    const numbers = args.map(toExpressionNumber);
+    return numbers.includes(null) ? null : fn(...numbers);
+  };
+}
+
+// `if` is evaluated separately so only the branch it picks is worked out
+const EXPRESSION_FUNCTIONS = {
+  if: { min: 3, max: 3 },
+  round: { min: 1, max: 2, apply: numericFunction((value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits) },
+  floor: { min: 1, max: 1, apply: numericFunction(Math.floor) },
+  ceil: { min: 1, max: 1, apply: numericFunction(Math.ceil) },
+  abs: { min: 1, max: 1, apply: numericFunction(Math.abs) },
+  sqrt: { min: 1, max: 1, apply: numericFunction(Math.sqrt) },
+  pow: { min: 2, max: 2, apply: numericFunction(Math.pow) },
+  min: { min: 1, max: Infinity, apply: numericFunction(Math.min) },
+  max: { min: 1, max: Infinity, apply: numericFunction(Math.max) },
+  // Missing values count as 0, so totals of optional counts still add up
+  sum: { min: 1, max: Infinity, apply: (...args) => args.reduce((total, value) => total + (toExpressionNumber(value) ?? 0), 0) },
+  concat: { min: 1, max: Infinity, apply: (...args) => args.map(toExpressionText).join('') },
+  coalesce: { min: 1, max: Infinity, apply: (...args) => args.find(value => value !== null && value !== '') ?? null }
+};
+
+function tokenizeExpression(text) {
+  const tokens = [];
+  let position = 0;
+  
+  while (position < text.length) {
+    const rest = text.slice(position);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+    
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)/);
+    const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    const operator = EXPRESSION_OPERATORS.find(op => rest.startsWith(op));
+    
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: position });
+      position += number[0].length;
+    } else if (word) {
+      tokens.push({ type: 'word', value: word[0], position: position });
+      position += word[0].length;
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      const end = text.indexOf(rest[0], position + 1);
+      if (end === -1) {
+        throw new Error(`The text starting at position ${position + 1} is missing its closing quote`);
+      }
+      tokens.push({ type: 'string', value: text.slice(position + 1, end), position: position });
+      position = end + 1;
+    } else if (rest.startsWith('{{')) {
+      const end = text.indexOf('}}', position);
+      const name = end === -1 ? '' : text.slice(position + 2, end).trim();
+      if (!name) {
+        throw new Error(`The reference at position ${position + 1} needs a question name between {{ and }}`);
+      }
+      tokens.push({ type: 'reference', value: name, position: position });
+      position = end + 2;
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: position });
+      position += operator.length;
+    } else {
+      throw new Error(`Unexpected "${rest[0]}" at position ${position + 1}`);
+    }
+  }
+  
+  return tokens;
+}
+
+// Returns the expression tree; throws when the expression is invalid
+function parseExpression(text) {
+  const tokens = tokenizeExpression(String(text));
+  let index = 0;
+  
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+  const isWord = value => peek() && peek().type === 'word' && peek().value.toLowerCase() === value;
+  const describe = token => token ? `"${token.type === 'reference' ? `{{${token.value}}}` : token.value}" at position ${token.position + 1}` : 'the end of the expression';
+  const expect = value => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}" but found ${describe(peek())}`);
+    }
+    index++;
+  };
+  
+  // Lowest precedence first: or, and, not, comparison, &, + -, * / %, unary -, ^
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isWord('or')) {
+      index++;
+      node = { type: 'binary', operator: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isWord('and')) {
+      index++;
+      node = { type: 'binary', operator: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+  const parseNot = () => {
+    if (isWord('not')) {
+      index++;
+      return { type: 'unary', operator: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+  const parseComparison = () => {
+    const node = parseConcat();
+    if (isOperator('=', '==', '!=', '<>', '<', '<=', '>', '>=')) {
+      const operator = { '==': '=', '<>': '!=' }[peek().value] || peek().value;
+      index++;
+      return { type: 'binary', operator: operator, left: node, right: parseConcat() };
+    }
+    return node;
+  };
+  const parseConcat = () => {
+    let node = parseAdditive();
+    while (isOperator('&')) {
+      index++;
+      node = { type: 'binary', operator: '&', left: node, right: parseAdditive() };
+    }
+    return node;
+  };
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isOperator('+', '-')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator: operator, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isOperator('*', '/', '%')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator: operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  const parseUnary = () => {
+    if (isOperator('-', '+')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator: operator, operand: parseUnary() };
+    }
+    return parsePower();
+  };
+  const parsePower = () => {
+    const node = parsePrimary();
+    if (isOperator('^')) {
+      index++;
+      return { type: 'binary', operator: '^', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('The expression ended unexpectedly');
+    }
+    index++;
+    
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'value', value: token.value };
+    }
+    if (token.type === 'reference') {
+      return { type: 'reference', name: token.value };
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'word' && isOperator('(')) {
+      const name = token.value.toLowerCase();
+      const definition = EXPRESSION_FUNCTIONS[name];
+      if (!definition) {
+        throw new Error(`Unknown function "${token.value}"`);
+      }
+      index++;
+      const args = [];
+      if (!isOperator(')')) {
+        args.push(parseOr());
+        while (isOperator(',')) {
+          index++;
+          args.push(parseOr());
+        }
+      }
+      expect(')');
+      if (args.length < definition.min || args.length > definition.max) {
+        const counts = definition.min === definition.max ? `${definition.min}` : (definition.max === Infinity ? `at least ${definition.min}` : `${definition.min} or ${definition.max}`);
+        throw new Error(`${name}() takes ${counts} argument${counts === '1' ? '' : 's'}`);
+      }
+      return { type: 'call', name: name, args: args };
+    }
+    throw new Error(`Unexpected ${describe(token)}`);
+  };
+  
+  if (tokens.length === 0) {
+    throw new Error('The expression is empty');
+  }
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+  return tree;
+}
+
+// Names referred to by {{...}} in an expression tree, in order of appearance
+function getExpressionReferences(node, names = []) {
+  if (node.type === 'reference' && !names.includes(node.name)) {
+    names.push(node.name);
+  }
+  [node.left, node.right, node.operand, ...(node.args || [])].forEach(child => {
+    if (child) {
+      getExpressionReferences(child, names);
+    }
+  });
+  return names;
+}
+
+function compareExpressionValues(left, right) {
+  const leftNumber = toExpressionNumber(left);
+  const rightNumber = toExpressionNumber(right);
+  if (leftNumber !== null && rightNumber !== null) {
+    return leftNumber - rightNumber;
+  }
+  const leftText = toExpressionText(left);
+  const rightText = toExpressionText(right);
+  return leftText === rightText ? 0 : (leftText < rightText ? -1 : 1);
+}
+
+function applyExpressionOperator(operator, left, right) {
+  if (operator === '&') {
+    return toExpressionText(left) + toExpressionText(right);
+  }
+  if (operator === '=' || operator === '!=') {
+    const equal = compareExpressionValues(left, right) === 0;
+    return (operator === '=') === equal ? 1 : 0;
+  }
+  if (['<', '<=', '>', '>='].includes(operator)) {
+    // Nothing is more or less than a missing answer
+    if (left === null || right === null) {
+      return 0;
+    }
+    const difference = compareExpressionValues(left, right);
+    return { '<': difference < 0, '<=': difference <= 0, '>': difference > 0, '>=': difference >= 0 }[operator] ? 1 : 0;
+  }
+  
+  const a = toExpressionNumber(left);
+  const b = toExpressionNumber(right);
+  if (a === null || b === null) {
+    return null;
+  }
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return b === 0 ? null : a / b;
+    case '%': return b === 0 ? null : a % b;
+    case '^': return a ** b;
+    default: return null;
+  }
+}
+
+function evaluateExpressionNode(node, getValue) {
+  switch (node.type) {
+    case 'value':
+      return node.value;
+    case 'reference': {
+      const value = getValue(node.name);
+      return value === undefined || value === '' ? null : value;
+    }
+    case 'unary': {
+      const operand = evaluateExpressionNode(node.operand, getValue);
+      if (node.operator === 'not') {
+        return isExpressionTruthy(operand) ? 0 : 1;
+      }
+      const number = toExpressionNumber(operand);
+      return number === null ? null : (node.operator === '-' ? -number : number);
+    }
+    case 'binary': {
+      const left = evaluateExpressionNode(node.left, getValue);
+      if (node.operator === 'and' || node.operator === 'or') {
+        if (isExpressionTruthy(left) === (node.operator === 'or')) {
+          return node.operator === 'or' ? 1 : 0;
+        }
+        return isExpressionTruthy(evaluateExpressionNode(node.right, getValue)) ? 1 : 0;
+      }
+      return applyExpressionOperator(node.operator, left, evaluateExpressionNode(node.right, getValue));
+    }
+    case 'call': {
+      if (node.name === 'if') {
+        const condition = evaluateExpressionNode(node.args[0], getValue);
+        return evaluateExpressionNode(node.args[isExpressionTruthy(condition) ? 1 : 2], getValue);
+      }
+      return EXPRESSION_FUNCTIONS[node.name].apply(...node.args.map(arg => evaluateExpressionNode(arg, getValue)));
+    }
+    default:
+      return null;
+  }
+}
+
+// Works out a parsed expression. getValue(name) gives the value of a {{name}}
+// reference as a number, text or null. Results are a number, text or null.
+function evaluateExpression(tree, getValue) {
+  const result = evaluateExpressionNode(tree, getValue);
+  if (typeof result === 'number') {
+    // Rounded to 12 significant digits so 0.1 + 0.2 is stored as 0.3
+    return Number.isFinite(result) ? Number(result.toPrecision(12)) : null;
+  }
+  return result;
+}
+
+// Names referred to by {{...}} in question or choice text
+function getPipedReferences(text) {
+  return Array.from(String(text).matchAll(EXPRESSION_REFERENCE_PATTERN), match => match[1]);
+}
+
+// {{name}} refers to the question with that variable name and {{id}} to the
+// question with that ID. Returns null when there is no such question.
+function findReferencedQuestion(questions, reference) {
+  return questions.find(question => question.name === reference)
+    || questions.find(question => question.id === reference)
+    || null;
+}
+
+// Copy of the question with every {{reference}} in its text, choices,
+// translations and calculation replaced by rename(reference). Runs on configs
+// before they are validated, so anything that is not text is left alone.
+function renameQuestionReferences(question, rename) {
+  const renameIn = text => typeof text === 'string'
+    ? text.replace(EXPRESSION_REFERENCE_PATTERN, (match, reference) => `{{${rename(reference)}}}`)
+    : text;
+  const renameTexts = object => {
+    const renamed = { ...object };
+    ['text', 'calculation'].filter(key => key in object).forEach(key => {
+      renamed[key] = renameIn(object[key]);
+    });
+    if (Array.isArray(object.choices)) {
+      renamed.choices = object.choices.map(renameIn);
+    }
+    return renamed;
+  };
+  
+  const renamed = renameTexts(question);
+  if (question.translations && typeof question.translations === 'object') {
+    renamed.translations = Object.fromEntries(Object.entries(question.translations).map(([language, translation]) => [
+      language,
+      translation && typeof translation === 'object' ? renameTexts(translation) : translation
+    ]));
+  }
+  return renamed;
+}
+
+// Authors can write {{Q2}} for the second question. Positions change when
+// questions are moved, so these are saved as the question's variable name, or
+// its ID when it has none. References that are not to an earlier question are
+// left for validation to report.
+function toStableReferences(question, earlierQuestions) {
+  return renameQuestionReferences(question, reference => {
+    const number = reference.match(/^Q(\d+)$/i);
+    const referenced = number && !findReferencedQuestion(earlierQuestions, reference)
+      ? earlierQuestions[Number(number[1]) - 1]
+      : null;
+    return referenced ? referenced.name || referenced.id : reference;
+  });
+}
+
+// toStableReferences for each question of a list, against the ones before it
+function toStableListReferences(questions) {
+  return questions.map((question, index) => toStableReferences(question, questions.slice(0, index)));
+}
@@ -0,0 +1,499 @@
+// Survey config schema, validation and migration.
+//
+// SURVEY_SCHEMA is a JSON Schema (draft-07) for survey config files;
+// validateSchema implements the subset of keywords it uses. Configs without a
+// schemaVersion are version 1 and are migrated forward before validation.
+
+const SURVEY_SCHEMA_VERSION = 3;
+
+const QUESTION_TYPES = ['freeform', 'longtext', 'number', 'date', 'scale', 'multiple', 'dropdown', 'location', 'photo', 'audio', 'signature', 'calculated'];
+
+// Answered with a file, which is kept in the media store rather than in the response
+const MEDIA_QUESTION_TYPES = ['photo', 'audio', 'signature'];
+
+const SURVEY_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Offline Survey Tool survey config',
+  type: 'object',
+  required: ['name', 'questions'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    name: { type: 'string', minLength: 1 },
+    thankYouMessage: { type: 'string' },
+    languages: { type: 'array', items: { type: 'string', minLength: 1 } },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'title'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          title: { type: 'string', minLength: 1 },
+          intro: { type: 'string' },
+          repeat: {
+            type: 'object',
+            properties: {
+              countQuestionId: { type: 'string', minLength: 1 }
+            }
+          }
+        }
+      }
+    },
+    quotas: {
+      type: ['object', 'null'],
+      required: ['action', 'questionIds', 'cells'],
+      properties: {
+        target: { type: ['integer', 'null'], minimum: 1 },
+        action: { enum: ['warn', 'block'] },
+        questionIds: { type: 'array', items: { type: 'string' } },
+        cells: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['values', 'target'],
+            properties: {
+              values: { type: 'object', additionalProperties: { type: 'string' } },
+              target: { type: 'integer', minimum: 1 }
+            }
+          }
+        }
+      }
+    },
+    questions: { type: 'array', items: { $ref: '#/definitions/question' } },
+    version: { type: 'integer', minimum: 1 },
+    versions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['version', 'questions'],
+        properties: {
+          version: { type: 'integer', minimum: 1 },
+          questions: { type: 'array', items: { $ref: '#/definitions/question' } },
+          savedAt: { type: 'string' }
+        }
+      }
+    },
+    encryption: {
+      type: 'object',
+      required: ['scheme', 'publicKey', 'privateKey'],
+      properties: {
+        scheme: { type: 'string' },
+        publicKey: { type: 'object' },
+        privateKey: { type: 'object', required: ['wrapped', 'salt', 'iv', 'iterations'] }
+      }
+    }
+  },
+  definitions: {
+    question: {
+      type: 'object',
+      required: ['id', 'type', 'text'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { enum: QUESTION_TYPES },
+        text: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        required: { type: 'boolean' },
+        sectionId: { type: 'string' },
+        choices: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        allowMultiple: { type: 'boolean' },
+        min: { type: ['number', 'null'] },
+        max: { type: ['number', 'null'] },
+        integer: { type: 'boolean' },
+        dateMode: { enum: ['date', 'time', 'datetime'] },
+        scaleStyle: { enum: ['likert', 'rating'] },
+        scaleMin: { type: 'integer' },
+        scaleMax: { type: 'integer' },
+        minLabel: { type: 'string' },
+        maxLabel: { type: 'string' },
+        accept: { enum: ['image', 'any'] },
+        calculation: { type: 'string', minLength: 1 },
+        validation: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['rule', 'value'],
+            properties: {
+              rule: { enum: ['pattern', 'minLength', 'maxLength', 'min', 'max', 'minSelections', 'maxSelections'] },
+              value: { type: ['string', 'number'] },
+              message: { type: 'string' }
+            }
+          }
+        },
+        conditions: {
+          type: 'object',
+          required: ['match', 'rules'],
+          properties: {
+            match: { enum: ['all', 'any'] },
+            rules: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['questionId', 'operator'],
+                properties: {
+                  questionId: { type: 'string' },
+                  operator: { enum: ['equals', 'notEquals', 'includes', 'notIncludes', 'greaterThan', 'lessThan', 'answered', 'notAnswered'] },
+                  value: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        translations: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              text: { type: 'string' },
+              choices: { type: 'array', items: { type: 'string' } },
+              minLabel: { type: 'string' },
+              maxLabel: { type: 'string' }
+            }
+          }
+        }
+      },
+      allOf: [
+        {
+          if: { required: ['type'], properties: { type: { enum: ['multiple', 'dropdown'] } } },
+          then: { required: ['choices'] }
+        },
+        {
+          if: { required: ['type'], properties: { type: { const: 'scale' } } },
+          then: { required: ['scaleMin', 'scaleMax'] }
+        },
+        {
+          if: { required: ['type'], properties: { type: { const: 'calculated' } } },
+          then: { required: ['calculation'] }
+        }
+      ]
+    }
+  }
+};
+
+const SCHEMA_TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+  null: 'null'
+};
+
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function formatSchemaPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+// Returns [{ path, message }] for every problem found; an empty list means valid
+function validateSchema(value, schema, path = '', root = schema) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+    return validateSchema(value, target, path, root);
+  }
+  
+  const errors = [];
+  const fail = message => errors.push({ path: path, message: message });
+  const actualType = getSchemaType(value);
+  
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+    if (!matches) {
+      fail(`must be ${types.map(type => SCHEMA_TYPE_NAMES[type]).join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    fail('must not be empty');
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+  
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, formatSchemaPath(path, index), root)));
+    }
+  }
+  
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: formatSchemaPath(path, key), message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach(key => {
+      const propertySchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (propertySchema && typeof propertySchema === 'object' && value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, formatSchemaPath(path, key), root));
+      }
+    });
+  }
+  
+  (schema.allOf || []).forEach(subschema => {
+    if (subschema.if) {
+      const applies = validateSchema(value, subschema.if, path, root).length === 0;
+      if (applies && subschema.then) {
+        errors.push(...validateSchema(value, subschema.then, path, root));
+      }
+    } else {
+      errors.push(...validateSchema(value, subschema, path, root));
+    }
+  });
+  
+  return errors;
+}
+
+// Checks that JSON Schema cannot express: unique IDs and variable names,
+// conditions and {{references}} that only refer to earlier questions, valid
+// calculations, and consistent ranges
+function validateQuestionList(questions, path) {
+  const errors = [];
+  const seenIds = new Set();
+  
+  questions.forEach((question, index) => {
+    const questionPath = formatSchemaPath(path, index);
+    const fail = (key, message) => errors.push({ path: formatSchemaPath(questionPath, key), message: message });
+    const earlierQuestions = questions.slice(0, index);
+    
+    if (seenIds.has(question.id)) {
+      fail('id', `duplicates the ID of an earlier question (${question.id})`);
+    }
+    if (question.name !== undefined && !EXPRESSION_NAME_PATTERN.test(question.name)) {
+      fail('name', 'can only contain letters, digits and underscores, and cannot start with a digit');
+    } else if (question.name !== undefined && earlierQuestions.some(earlier => earlier.name === question.name)) {
+      fail('name', `duplicates the variable name of an earlier question (${question.name})`);
+    }
+    
+    // [key, reference] for every {{reference}} in the question
+    const references = [
+      ...getPipedReferences(question.text).map(reference => ['text', reference]),
+      ...(question.choices || []).flatMap(getPipedReferences).map(reference => ['choices', reference])
+    ];
+    if (question.type === 'calculated') {
+      try {
+        references.push(...getExpressionReferences(parseExpression(question.calculation)).map(reference => ['calculation', reference]));
+      } catch (error) {
+        fail('calculation', `is not valid: ${error.message}`);
+      }
+    }
+    references.forEach(([key, reference]) => {
+      if (!findReferencedQuestion(earlierQuestions, reference)) {
+        fail(key, `refers to {{${reference}}}, which is not an earlier question`);
+      }
+    });
+    
+    if (question.conditions && Array.isArray(question.conditions.rules)) {
+      question.conditions.rules.forEach((rule, ruleIndex) => {
+        if (rule && !seenIds.has(rule.questionId)) {
+          errors.push({
+            path: `${questionPath}.conditions.rules[${ruleIndex}].questionId`,
+            message: `must be the ID of an earlier question (${rule.questionId})`
+          });
+        }
+      });
+    }
+    seenIds.add(question.id);
+    
+    if (question.type === 'scale' && question.scaleMin >= question.scaleMax) {
+      fail('scaleMax', 'must be greater than scaleMin');
+    } else if (question.type === 'scale' && question.scaleMax - question.scaleMin > 10) {
+      fail('scaleMax', 'scales can have at most 11 points');
+    }
+    if (typeof question.min === 'number' && typeof question.max === 'number' && question.min > question.max) {
+      fail('max', 'must not be less than min');
+    }
+    (question.validation || []).forEach((rule, ruleIndex) => {
+      if (rule.rule === 'pattern') {
+        try {
+          new RegExp(rule.value);
+        } catch (error) {
+          errors.push({ path: `${questionPath}.validation[${ruleIndex}].value`, message: 'is not a valid pattern' });
+        }
+      }
+    });
+  });
+  
+  return errors;
+}
+
+// IDs of the earlier questions that a question's display conditions and
+// {{references}} refer to
+function getReferencedQuestionIds(question, earlierQuestions) {
+  const ids = question.conditions ? question.conditions.rules.map(rule => rule.questionId) : [];
+  
+  const texts = [question.text, ...(question.choices || [])];
+  Object.values(question.translations || {}).forEach(translation => {
+    texts.push(translation.text || '', ...(translation.choices || []));
+  });
+  const references = texts.flatMap(getPipedReferences);
+  if (question.type === 'calculated') {
+    try {
+      references.push(...getExpressionReferences(parseExpression(question.calculation)));
+    } catch (error) {
+      // Invalid calculations are reported by validateQuestionList
+    }
+  }
+  references.forEach(reference => {
+    const referenced = findReferencedQuestion(earlierQuestions, reference);
+    if (referenced) {
+      ids.push(referenced.id);
+    }
+  });
+  
+  return ids;
+}
+
+// Repeated sections keep one set of answers per repeat, so nothing outside a
+// repeated section can refer to its questions. The number of repeats can come
+// from an earlier number question that is not repeated itself.
+function validateRepeatSections(config) {
+  const errors = [];
+  const sections = config.sections || [];
+  const repeatedIds = new Set(sections.filter(section => section.repeat).map(section => section.id));
+  const questions = config.questions;
+  
+  sections.forEach((section, index) => {
+    if (!section.repeat || section.repeat.countQuestionId === undefined) {
+      return;
+    }
+    const countIndex = questions.findIndex(question => question.id === section.repeat.countQuestionId);
+    const firstIndex = questions.findIndex(question => question.sectionId === section.id);
+    const countQuestion = questions[countIndex];
+    if (!countQuestion || countQuestion.type !== 'number' || repeatedIds.has(countQuestion.sectionId) || (firstIndex !== -1 && countIndex > firstIndex)) {
+      errors.push({
+        path: `sections[${index}].repeat.countQuestionId`,
+        message: `must be the ID of an earlier number question outside repeated sections (${section.repeat.countQuestionId})`
+      });
+    }
+  });
+  
+  // Media answers are moved to their own store by question, which repeats would overwrite
+  questions.forEach((question, index) => {
+    if (repeatedIds.has(question.sectionId) && MEDIA_QUESTION_TYPES.includes(question.type)) {
+      errors.push({ path: `questions[${index}].type`, message: 'cannot be used in a repeated section' });
+    }
+    getReferencedQuestionIds(question, questions.slice(0, index)).forEach(id => {
+      const referenced = questions.find(q => q.id === id);
+      if (referenced && repeatedIds.has(referenced.sectionId) && referenced.sectionId !== question.sectionId) {
+        errors.push({ path: `questions[${index}]`, message: `refers to a question in a repeated section it is not part of (${id})` });
+      }
+    });
+  });
+  
+  return errors;
+}
+
+// Returns [{ path, message }] for a config that has been migrated to the current version
+function validateSurveyConfig(config) {
+  if (config && typeof config === 'object' && config.schemaVersion > SURVEY_SCHEMA_VERSION) {
+    return [{ path: 'schemaVersion', message: `is ${config.schemaVersion}, but this app only understands up to version ${SURVEY_SCHEMA_VERSION}. Please update the app.` }];
+  }
+  
+  const errors = validateSchema(config, SURVEY_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+  
+  errors.push(...validateQuestionList(config.questions, 'questions'));
+  
+  // Older versions may refer to sections that have since been removed
+  const sectionIds = new Set((config.sections || []).map(section => section.id));
+  config.questions.forEach((question, index) => {
+    if (question.sectionId !== undefined && !sectionIds.has(question.sectionId)) {
+      errors.push({ path: `questions[${index}].sectionId`, message: `must be the ID of a section (${question.sectionId})` });
+    }
+  });
+  (config.versions || []).forEach((version, index) => {
+    errors.push(...validateQuestionList(version.questions, `versions[${index}].questions`));
+  });
+  errors.push(...validateRepeatSections(config));
+  
+  // Quota cells are keyed on the answers to current single-choice questions
+  if (config.quotas) {
+    config.quotas.questionIds.forEach((id, index) => {
+      const question = config.questions.find(q => q.id === id);
+      if (!question || !(question.type === 'dropdown' || (question.type === 'multiple' && !question.allowMultiple))) {
+        errors.push({ path: `quotas.questionIds[${index}]`, message: `must be the ID of a single-choice question (${id})` });
+      } else if ((config.sections || []).some(section => section.repeat && section.id === question.sectionId)) {
+        errors.push({ path: `quotas.questionIds[${index}]`, message: `must not be the ID of a question in a repeated section (${id})` });
+      }
+    });
+    config.quotas.cells.forEach((cell, index) => {
+      const ids = Object.keys(cell.values);
+      if (ids.length !== config.quotas.questionIds.length || !ids.every(id => config.quotas.questionIds.includes(id))) {
+        errors.push({ path: `quotas.cells[${index}].values`, message: 'must have an answer for each quota question' });
+      }
+    });
+  }
+  
+  // Media answers are stored as unencrypted files, and quota cells are counted
+  // from answers that encrypted responses hide
+  if (config.encryption) {
+    config.questions.forEach((question, index) => {
+      if (MEDIA_QUESTION_TYPES.includes(question.type)) {
+        errors.push({ path: `questions[${index}].type`, message: 'cannot be used in an encrypted survey' });
+      }
+    });
+    if (config.quotas && config.quotas.questionIds.length > 0) {
+      errors.push({ path: 'quotas.questionIds', message: 'cannot be used in an encrypted survey; only a target can be set' });
+    }
+  }
+  return errors;
+}
+
+// Each migration upgrades a config from the version it is keyed by to the next
+const SURVEY_CONFIG_MIGRATIONS = {
+  // Version 1 configs predate stable question IDs (assignQuestionIds is in app.js)
+  1: config => {
+    const questionLists = [config.questions, ...(Array.isArray(config.versions) ? config.versions.map(v => v && v.questions) : [])];
+    const hasQuestionObjects = questionLists.every(list => Array.isArray(list) && list.every(q => q && typeof q === 'object'));
+    if (hasQuestionObjects) {
+      assignQuestionIds(config);
+    }
+    return config;
+  },
+  // Version 2 configs can refer to questions by position, as {{Q2}}
+  2: config => {
+    const toStable = questions => Array.isArray(questions) && questions.every(q => q && typeof q === 'object')
+      ? toStableListReferences(questions)
+      : questions;
+    config.questions = toStable(config.questions);
+    if (Array.isArray(config.versions)) {
+      config.versions = config.versions.map(version => version && typeof version === 'object' ? { ...version, questions: toStable(version.questions) } : version);
+    }
+    return config;
+  }
+};
+
+// Returns an upgraded copy of the config. Configs that are not objects, or that
+// are newer than this app, are returned unchanged for validation to report.
+function migrateSurveyConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return config;
+  }
+  
+  let migrated = JSON.parse(JSON.stringify(config));
+  let version = migrated.schemaVersion === undefined ? 1 : migrated.schemaVersion;
+  while (Number.isInteger(version) && version < SURVEY_SCHEMA_VERSION && SURVEY_CONFIG_MIGRATIONS[version]) {
+    migrated = SURVEY_CONFIG_MIGRATIONS[version](migrated);
+    version++;
+    migrated.schemaVersion = version;
+  }
+  return migrated;
+}
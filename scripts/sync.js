@@ -0,0 +1,163 @@
+// Response sync, shared by the page and the service worker.
+// The wire format is described under "Sync Protocol" in README.md.
+const SYNC_TAG = 'sync-responses';
+const SYNC_PROTOCOL = 'offline-survey-tool-sync';
+const SYNC_BATCH_SIZE = 50;
+
+// Release of the app. The service worker names its cache after it, so it is bumped
+// whenever a cached file changes, and it is saved with every response so data can
+// be traced to the release that collected it.
+const APP_VERSION = '6';
+
+// Local fields that are not part of a synced response
+const LOCAL_RESPONSE_FIELDS = ['id', 'syncStatus', 'syncError', 'syncedAt'];
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Opens the app's database at whatever version the page created.
+// Resolves with null if the page has not created it yet.
+function openSyncDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('SurveyDB');
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => {
+      const db = request.result;
+      // Never hold up a schema upgrade started by a newer page
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => {
+      if (request.error && request.error.name === 'AbortError') {
+        resolve(null);
+      } else {
+        reject(request.error);
+      }
+    };
+  });
+}
+
+async function getSyncSetting(db, key) {
+  const transaction = db.transaction(['settings'], 'readonly');
+  const setting = await requestToPromise(transaction.objectStore('settings').get(key));
+  return setting ? setting.value : undefined;
+}
+
+async function getPendingBatch(db) {
+  const transaction = db.transaction(['responses'], 'readonly');
+  const index = transaction.objectStore('responses').index('syncStatus');
+  return requestToPromise(index.getAll('pending', SYNC_BATCH_SIZE));
+}
+
+async function getBatchSurveys(db, responses) {
+  const transaction = db.transaction(['surveys'], 'readonly');
+  const store = transaction.objectStore('surveys');
+  const surveyIds = [...new Set(responses.map(response => response.surveyId))];
+  const surveys = await Promise.all(surveyIds.map(id => requestToPromise(store.get(id))));
+  return surveys.filter(Boolean);
+}
+
+function toSyncedResponse(response) {
+  const synced = { ...response };
+  LOCAL_RESPONSE_FIELDS.forEach(field => delete synced[field]);
+  return synced;
+}
+
+// Sends one batch. Network errors and responses worth retrying throw; any other
+// error status rejects the whole batch.
+async function postSyncBatch(endpoint, deviceId, surveys, responses) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      protocol: SYNC_PROTOCOL,
+      protocolVersion: 1,
+      deviceId: deviceId,
+      surveys: surveys,
+      responses: responses.map(toSyncedResponse)
+    })
+  });
+  
+  if (response.status >= 500 || response.status === 408 || response.status === 429) {
+    throw new Error(`Sync server responded with ${response.status}`);
+  }
+  if (!response.ok) {
+    const message = `Sync server rejected the upload (${response.status})`;
+    return { accepted: [], rejected: responses.map(sent => ({ uuid: sent.uuid, error: message })) };
+  }
+  
+  const result = await response.json();
+  return {
+    accepted: Array.isArray(result.accepted) ? result.accepted : [],
+    rejected: Array.isArray(result.rejected) ? result.rejected : []
+  };
+}
+
+// Records the server's verdict on a batch. A response edited while it was being
+// uploaded stays pending so the edit is sent too.
+async function markSyncResults(db, sentResponses, result) {
+  const accepted = new Set(result.accepted);
+  const errors = new Map(result.rejected.map(rejection => [rejection.uuid, rejection.error || 'Rejected by the sync server']));
+  const transaction = db.transaction(['responses'], 'readwrite');
+  const store = transaction.objectStore('responses');
+  const summary = { synced: 0, failed: 0 };
+  
+  sentResponses.forEach(sent => {
+    const request = store.get(sent.id);
+    request.onsuccess = () => {
+      const current = request.result;
+      if (!current || current.updatedAt !== sent.updatedAt) return;
+      
+      if (accepted.has(sent.uuid)) {
+        const { syncError, ...synced } = current;
+        store.put({ ...synced, syncStatus: 'synced', syncedAt: new Date().toISOString() });
+        summary.synced++;
+      } else if (errors.has(sent.uuid)) {
+        store.put({ ...current, syncStatus: 'failed', syncError: String(errors.get(sent.uuid)) });
+        summary.failed++;
+      }
+    };
+  });
+  
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(summary);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Uploads every pending response in batches. Throws if the server could not be
+// reached, leaving the rest pending for the next attempt.
+async function syncPendingResponses() {
+  const summary = { synced: 0, failed: 0 };
+  const db = await openSyncDatabase();
+  if (!db) return summary;
+  
+  try {
+    if (!db.objectStoreNames.contains('settings')) return summary;
+    
+    const endpoint = await getSyncSetting(db, 'syncEndpoint');
+    if (!endpoint) return summary;
+    const deviceId = await getSyncSetting(db, 'deviceId');
+    
+    let batch = await getPendingBatch(db);
+    while (batch.length > 0) {
+      const surveys = await getBatchSurveys(db, batch);
+      const result = await postSyncBatch(endpoint, deviceId, surveys, batch);
+      const batchSummary = await markSyncResults(db, batch, result);
+      summary.synced += batchSummary.synced;
+      summary.failed += batchSummary.failed;
+      
+      // The server settled nothing in this batch, so asking again would loop forever
+      if (batchSummary.synced + batchSummary.failed === 0) break;
+      batch = await getPendingBatch(db);
+    }
+    
+    return summary;
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,202 @@
+// Minimal XLSX (Office Open XML spreadsheet) writer built on createZip from zip.js.
+// Numbers become numeric cells, everything else inline strings; the first row is bold.
+// readXlsx reads the cell text of every sheet back, using readZip.
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function getColumnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function buildSheetXml(rows) {
+  const rowsXml = rows.map((row, rowIndex) => {
+    const cellsXml = row.map((value, columnIndex) => {
+      const ref = `${getColumnLetter(columnIndex)}${rowIndex + 1}`;
+      const style = rowIndex === 0 ? ' s="1"' : '';
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+  }).join('');
+  
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+// Sheet names are limited to 31 characters, may not contain []:*?/\ and must be
+// unique regardless of case
+function getSheetName(name, index, usedNames) {
+  const cleaned = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+  let sheetName = cleaned;
+  for (let copy = 2; usedNames.has(sheetName.toLowerCase()); copy++) {
+    sheetName = `${cleaned.slice(0, 31 - ` (${copy})`.length)} (${copy})`;
+  }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+// sheets: [{ name, rows }] where rows is an array of arrays. Resolves to a Blob.
+async function buildXlsx(sheets) {
+  const usedNames = new Set();
+  const sheetEntries = sheets.map((sheet, index) => ({
+    name: getSheetName(sheet.name, index, usedNames),
+    path: `xl/worksheets/sheet${index + 1}.xml`,
+    xml: buildSheetXml(sheet.rows)
+  }));
+  
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheetEntries.map(entry =>
+      `<Override PartName="/${entry.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('') +
+    '</Types>';
+  
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+  
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+    sheetEntries.map((entry, index) =>
+      `<sheet name="${escapeXml(entry.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('') +
+    '</sheets></workbook>';
+  
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheetEntries.map((entry, index) =>
+      `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('') +
+    `<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+  
+  const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>';
+  
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: styles },
+    ...sheetEntries.map(entry => ({ name: entry.path, data: entry.xml }))
+  ], XLSX_MIME_TYPE);
+}
+
+const XLSX_RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// A -> 0, Z -> 25, AA -> 26
+function getColumnIndex(letters) {
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Matches elements by local name, whatever namespace prefix the writer used
+function getXmlElements(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function getXmlText(element) {
+  return getXmlElements(element, 't').map(t => t.textContent).join('');
+}
+
+// Resolves to [{ name, rows }] where rows is an array of arrays of strings.
+// Formulas are read as their last calculated value.
+async function readXlsx(blob) {
+  const files = await readZip(blob);
+  const decoder = new TextDecoder();
+  const parser = new DOMParser();
+  const readXml = path => {
+    const file = files.get(path);
+    return file ? parser.parseFromString(decoder.decode(file), 'application/xml') : null;
+  };
+  
+  const workbook = readXml('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('Not an Excel workbook');
+  }
+  
+  const targets = {};
+  const workbookRels = readXml('xl/_rels/workbook.xml.rels');
+  if (workbookRels) {
+    getXmlElements(workbookRels, 'Relationship').forEach(rel => {
+      const target = rel.getAttribute('Target');
+      targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    });
+  }
+  
+  const sharedStringsXml = readXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml ? getXmlElements(sharedStringsXml, 'si').map(getXmlText) : [];
+  
+  return getXmlElements(workbook, 'sheet').map((sheet, index) => {
+    const relId = sheet.getAttributeNS(XLSX_RELATIONSHIPS_NS, 'id');
+    const sheetXml = readXml(targets[relId] || `xl/worksheets/sheet${index + 1}.xml`);
+    const rows = [];
+    
+    if (sheetXml) {
+      getXmlElements(sheetXml, 'row').forEach(rowElement => {
+        const row = [];
+        getXmlElements(rowElement, 'c').forEach(cell => {
+          const ref = cell.getAttribute('r');
+          const columnIndex = ref ? getColumnIndex(ref.replace(/[0-9]/g, '')) : row.length;
+          const type = cell.getAttribute('t');
+          const valueElement = getXmlElements(cell, 'v')[0];
+          const value = valueElement ? valueElement.textContent : '';
+          
+          if (type === 's') {
+            row[columnIndex] = sharedStrings[Number(value)] || '';
+          } else if (type === 'inlineStr') {
+            row[columnIndex] = getXmlText(cell);
+          } else if (type === 'b') {
+            row[columnIndex] = value === '1' ? 'TRUE' : 'FALSE';
+          } else {
+            row[columnIndex] = value;
+          }
+        });
+        
+        const rowNumber = Number(rowElement.getAttribute('r')) || rows.length + 1;
+        rows[rowNumber - 1] = Array.from(row, value => value || '');
+      });
+    }
+    
+    return { name: sheet.getAttribute('name'), rows: Array.from(rows, row => row || []) };
+  });
+}
@@ -0,0 +1,154 @@
+// Minimal ZIP archive writer used for XLSX workbooks and multi-file exports.
+// Entries are stored without compression, which every ZIP reader supports.
+// readZip reads stored and deflated entries, enough for spreadsheets saved by office suites.
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function toZipBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof Blob) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  return new TextEncoder().encode(String(data));
+}
+
+// MS-DOS date and time fields used in ZIP headers
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// files: [{ name, data }] where data is a string, Uint8Array or Blob. Resolves to a Blob.
+async function createZip(files, mimeType = 'application/zip') {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const data = await toZipBytes(file.data);
+    const crc = crc32(data);
+    
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034B50, true);
+    localHeader.setUint16(4, 20, true);
+    localHeader.setUint16(6, 0x0800, true); // UTF-8 file names
+    localHeader.setUint16(8, 0, true); // stored
+    localHeader.setUint16(10, time, true);
+    localHeader.setUint16(12, date, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, data.length, true);
+    localHeader.setUint32(22, data.length, true);
+    localHeader.setUint16(26, nameBytes.length, true);
+    localHeader.setUint16(28, 0, true);
+    
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014B50, true);
+    centralHeader.setUint16(4, 20, true);
+    centralHeader.setUint16(6, 20, true);
+    centralHeader.setUint16(8, 0x0800, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, time, true);
+    centralHeader.setUint16(14, date, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, nameBytes.length, true);
+    centralHeader.setUint32(42, offset, true);
+    
+    localParts.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: mimeType });
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Resolves to a Map of entry name -> Uint8Array. Directories are skipped.
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+  
+  // The end of central directory record is followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP file');
+  }
+  
+  const entries = new Map();
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+    
+    if (name.endsWith('/')) continue;
+    
+    // The local header's own name and extra field lengths can differ from the central copy
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, await inflateRaw(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} in ${name}`);
+    }
+  }
+  
+  return entries;
+}
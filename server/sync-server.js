@@ -0,0 +1,139 @@
+// Reference collection server for the sync protocol described in README.md.
+// Stores uploaded responses in a JSON file; meant for local testing, not production.
+//
+//   npm run sync-server                     # listens on http://localhost:8081/responses
+//   PORT=9000 DATA_FILE=./data.json npm run sync-server
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8081;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'sync-data.json');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// { surveys: { "<deviceId>/<surveyId>": survey }, responses: { "<uuid>": response } }
+function loadData() {
+  if (!fs.existsSync(DATA_FILE)) {
+    return { surveys: {}, responses: {} };
+  }
+  return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+function saveData(data) {
+  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+}
+
+const data = loadData();
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function validateResponse(response) {
+  if (!response || typeof response.uuid !== 'string' || response.uuid === '') {
+    return 'Missing uuid';
+  }
+  // Responses to encrypted surveys carry encryptedData instead of data
+  const encrypted = response.encryptedData;
+  const hasEncryptedData = Boolean(encrypted) && typeof encrypted === 'object' &&
+    ['key', 'iv', 'ciphertext'].every(field => typeof encrypted[field] === 'string');
+  const hasData = Boolean(response.data) && typeof response.data === 'object';
+  if (response.surveyId === undefined || !(hasData || hasEncryptedData)) {
+    return 'Missing surveyId or data';
+  }
+  if (typeof response.timestamp !== 'string') {
+    return 'Missing timestamp';
+  }
+  return null;
+}
+
+// Accepts every valid response. Uploading the same uuid again replaces the stored
+// copy, so retries and edits are both safe.
+function handleUpload(payload) {
+  const result = { accepted: [], rejected: [] };
+  
+  (payload.surveys || []).forEach(survey => {
+    data.surveys[`${payload.deviceId}/${survey.id}`] = survey;
+  });
+  
+  payload.responses.forEach(response => {
+    const error = validateResponse(response);
+    if (error) {
+      result.rejected.push({ uuid: response && response.uuid, error: error });
+      return;
+    }
+    data.responses[response.uuid] = { ...response, receivedAt: new Date().toISOString() };
+    result.accepted.push(response.uuid);
+  });
+  
+  saveData(data);
+  return result;
+}
+
+const server = http.createServer(async (req, res) => {
+  // The app is usually served from a different origin
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  
+  if (pathname !== '/responses') {
+    sendJSON(res, 404, { error: 'Not found' });
+    return;
+  }
+  
+  if (req.method === 'GET') {
+    sendJSON(res, 200, { surveys: Object.values(data.surveys), responses: Object.values(data.responses) });
+    return;
+  }
+  
+  if (req.method !== 'POST') {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  try {
+    const payload = JSON.parse(await readBody(req));
+    if (payload.protocol !== 'offline-survey-tool-sync' || payload.protocolVersion !== 1 || !Array.isArray(payload.responses)) {
+      sendJSON(res, 400, { error: 'Unsupported sync protocol' });
+      return;
+    }
+    
+    const result = handleUpload(payload);
+    console.log(`${payload.deviceId}: ${result.accepted.length} accepted, ${result.rejected.length} rejected`);
+    sendJSON(res, 200, result);
+  } catch (error) {
+    console.error('Upload failed:', error.message);
+    sendJSON(res, error instanceof SyntaxError ? 400 : 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT}/responses`);
+  console.log(`Storing data in ${DATA_FILE}`);
+});
@@ -1,8 +1,16 @@
-const CACHE_NAME = 'offline-survey-tool-v1';
+importScripts('./scripts/sync.js');
+
+const CACHE_NAME = `offline-survey-tool-v${APP_VERSION}`;
 const urlsToCache = [
   './',
   './index.html',
   './styles/main.css',
+  './scripts/zip.js',
+  './scripts/xlsx.js',
+  './scripts/sync.js',
+  './scripts/encryption.js',
+  './scripts/expressions.js',
+  './scripts/schema.js',
   './scripts/app.js',
   './manifest.json',
   './images/icon_192.png',
@@ -45,3 +53,17 @@ self.addEventListener('activate', (event) => {
     })
   );
 });
+
+// Background Sync - upload queued responses once connectivity returns.
+// A rejected promise makes the browser retry later with its own backoff.
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(
+      syncPendingResponses().then((summary) => {
+        return self.clients.matchAll().then((clients) => {
+          clients.forEach((client) => client.postMessage({ type: 'sync-complete', summary: summary }));
+        });
+      })
+    );
+  }
+});